@@ -0,0 +1,255 @@
+import { clamp, lerp, smoothstep } from "./utils.js";
+import {
+  createValueNoise2D,
+  createSimplexNoise2D,
+  fbm,
+  ridged,
+  turbulence,
+  domainWarp2D,
+} from "./noise.js";
+import { LuminanceSampler } from "./image.js";
+
+// Field definitions are plain, JSON-serialisable objects such as
+//
+//   { type: "add", terms: [
+//     { type: "noise", frequency: 0.003, amplitude: 0.5 },
+//     { type: "wave", of: { type: "radial", center: [1000, 1000] },
+//       frequency: 0.01 },
+//   ] }
+//
+// compileField turns one into a function (x, y, t, point) => number, where `t`
+// is an animation/drift value (PSD's `state`) and `point` is the full point
+// being evaluated, when there is one. A bare number compiles to a constant.
+// Anything that can't live in JSON (images, custom SDFs, external noise) is
+// referenced by name and looked up in `resources`.
+
+const distanceToSegment = (x, y, a, b) => {
+  const dx = b[0] - a[0],
+    dy = b[1] - a[1];
+  const t = clamp(
+    0,
+    1,
+    ((x - a[0]) * dx + (y - a[1]) * dy) / (dx * dx + dy * dy || 1)
+  );
+  return Math.hypot(x - a[0] - t * dx, y - a[1] - t * dy);
+};
+
+const SDF_SHAPES = {
+  circle({ center = [0, 0], radius = 1 }) {
+    return (x, y) => Math.hypot(x - center[0], y - center[1]) - radius;
+  },
+  box({ center = [0, 0], size = [1, 1] }) {
+    return (x, y) => {
+      const qx = Math.abs(x - center[0]) - size[0] / 2;
+      const qy = Math.abs(y - center[1]) - size[1] / 2;
+      return (
+        Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) +
+        Math.min(Math.max(qx, qy), 0)
+      );
+    };
+  },
+  polygon({ points }) {
+    return (x, y) => {
+      let d = Infinity,
+        inside = false;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i],
+          b = points[j];
+        d = Math.min(d, distanceToSegment(x, y, a, b));
+        if (
+          a[1] > y !== b[1] > y &&
+          x < ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]) + a[0]
+        )
+          inside = !inside;
+      }
+      return inside ? -d : d;
+    };
+  },
+};
+
+const NOISE_KINDS = {
+  value: createValueNoise2D,
+  simplex: createSimplexNoise2D,
+};
+const FRACTALS = { fbm, ridged, turbulence };
+
+const lookup = (resources, kind, name) => {
+  const resource = resources[kind]?.[name];
+  if (resource === undefined)
+    throw new Error(`Missing ${kind} resource "${name}" for field`);
+  return resource;
+};
+
+export const FIELD_TERMS = {
+  constant({ value = 0 }) {
+    return () => value;
+  },
+  // Seeded value or simplex noise, optionally fractal and/or domain warped:
+  // `fractal` is "fbm", "ridged" or "turbulence" with `octaves`, `lacunarity`
+  // and `gain`; `warp` is { amount, frequency }.
+  noise(
+    {
+      source,
+      kind = "value",
+      seed = 0,
+      frequency = 1,
+      amplitude = 1,
+      offset = [0, 0],
+      fractal,
+      octaves,
+      lacunarity,
+      gain,
+      warp,
+    },
+    compile,
+    resources
+  ) {
+    let noise;
+    if (source) noise = lookup(resources, "noise", source);
+    else if (NOISE_KINDS[kind]) noise = NOISE_KINDS[kind](seed);
+    else throw new Error(`Unknown noise kind "${kind}"`);
+
+    if (fractal) {
+      if (!FRACTALS[fractal]) throw new Error(`Unknown fractal "${fractal}"`);
+      noise = FRACTALS[fractal](noise, { octaves, lacunarity, gain });
+    }
+    if (warp) noise = domainWarp2D(noise, { seed, ...warp });
+
+    return (x, y) =>
+      noise((x + offset[0]) * frequency, (y + offset[1]) * frequency) *
+      amplitude;
+  },
+  // Distance from `center`
+  radial({ center = [0, 0], scale = 1 }) {
+    return (x, y) => Math.hypot(x - center[0], y - center[1]) * scale;
+  },
+  // Polar angle around `center`
+  angle({ center = [0, 0] }) {
+    return (x, y) => Math.atan2(y - center[1], x - center[0]);
+  },
+  // Projection onto `direction`, measured from `origin`
+  linear({ direction = [1, 0], origin = [0, 0], scale = 1 }) {
+    return (x, y) =>
+      ((x - origin[0]) * direction[0] + (y - origin[1]) * direction[1]) * scale;
+  },
+  // cos() of another field (a linear one by default), drifting with `t`
+  wave(
+    {
+      of = { type: "linear" },
+      frequency = 1,
+      phase = 0,
+      amplitude = 1,
+      speed = 1,
+    },
+    compile
+  ) {
+    const input = compile(of);
+    return (x, y, t = 0, p) =>
+      Math.cos(input(x, y, t, p) * frequency + phase + t * speed) * amplitude;
+  },
+  // Luminance (0-1) of a named image stretched over width × height
+  image({ source, width, height, bilinear = true }, compile, resources) {
+    let sampler = lookup(resources, "images", source);
+    if (!(sampler instanceof LuminanceSampler))
+      sampler = new LuminanceSampler(sampler);
+    return (x, y) =>
+      sampler.sample(
+        (x / (width ?? sampler.width)) * sampler.width,
+        (y / (height ?? sampler.height)) * sampler.height,
+        bilinear
+      );
+  },
+  // Signed distance to a built-in shape, or to a named SDF function
+  sdf({ shape = "circle", source, ...params }, compile, resources) {
+    if (source) return lookup(resources, "sdfs", source);
+    if (!SDF_SHAPES[shape]) throw new Error(`Unknown SDF shape "${shape}"`);
+    return SDF_SHAPES[shape](params);
+  },
+  // A numeric property of the point being evaluated (e.g. PSD's `radius`)
+  attribute({ name, fallback = 0 }) {
+    return (x, y, t, p) => p?.[name] ?? fallback;
+  },
+  add({ terms = [] }, compile) {
+    const fields = terms.map(compile);
+    return (x, y, t, p) => {
+      let v = 0;
+      for (const f of fields) v += f(x, y, t, p);
+      return v;
+    };
+  },
+  multiply({ terms = [] }, compile) {
+    const fields = terms.map(compile);
+    return (x, y, t, p) => {
+      let v = 1;
+      for (const f of fields) v *= f(x, y, t, p);
+      return v;
+    };
+  },
+  // Maps `from` onto `to`, linearly or with a smoothstep
+  remap({ of, from = [0, 1], to = [0, 1], smooth = false }, compile) {
+    const input = compile(of);
+    return (x, y, t, p) => {
+      const v = input(x, y, t, p);
+      const n = smooth
+        ? smoothstep(from[0], from[1], v)
+        : (v - from[0]) / (from[1] - from[0]);
+      return lerp(to[0], to[1], n);
+    };
+  },
+  clamp({ of, min = 0, max = 1 }, compile) {
+    const input = compile(of);
+    return (x, y, t, p) => clamp(min, max, input(x, y, t, p));
+  },
+  // `below` where `of` is under `threshold`, `above` elsewhere
+  select({ of, threshold = 0, below = 0, above = 1 }, compile) {
+    const input = compile(of),
+      a = compile(below),
+      b = compile(above);
+    return (x, y, t, p) =>
+      input(x, y, t, p) < threshold ? a(x, y, t, p) : b(x, y, t, p);
+  },
+};
+
+export function compileField(definition, resources = {}) {
+  const compile = (def) => {
+    if (typeof def == "number") return () => def;
+    const term = FIELD_TERMS[def?.type];
+    if (!term) throw new Error(`Unknown field term "${def?.type}"`);
+    return term(def, compile, resources);
+  };
+  return compile(definition);
+}
+
+// A PoissonDiskSampling fieldFunction: the field (expected in 0-1, clamped)
+// is mapped between the sampler's minRadius and maxRadius, and `t` follows
+// the sampler's `state`.
+export function radiusField(definition, resources) {
+  const field = compileField(definition, resources);
+  return function (x, y) {
+    const v = clamp(0, 1, field(x, y, this.state));
+    return this.minRadius + v * (this.maxRadius - this.minRadius);
+  };
+}
+
+// A HatchFlow fieldFunction: the field's value is the angle in radians.
+export function angleField(definition, resources) {
+  return scalarField(definition, resources);
+}
+
+// A HatchFlow fieldFunction for the "gradient" and "isoline" field types,
+// which follow the slope of the field's value.
+export function scalarField(definition, resources) {
+  const field = compileField(definition, resources);
+  return (point) => field(point.x, point.y, 0, point);
+}
+
+// A HatchFlow fieldFunction for the "vector" field type, from a definition
+// per component: { x, y }.
+export function vectorField(definition, resources) {
+  const x = compileField(definition.x, resources),
+    y = compileField(definition.y, resources);
+  return (point) => ({
+    x: x(point.x, point.y, 0, point),
+    y: y(point.x, point.y, 0, point),
+  });
+}
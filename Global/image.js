@@ -0,0 +1,54 @@
+import { clamp, lerp } from "./utils.js";
+
+// Reads normalised luminance (0 black, 1 white) out of anything shaped like
+// ImageData: {width, height, data}. That covers canvas ImageData, a decoded PNG
+// in Node (e.g. pngjs) and raw buffers, RGBA or single channel. Transparent
+// pixels are composited over white, like ink on paper.
+export class LuminanceSampler {
+  static fromRGBA(data, width, height) {
+    return new LuminanceSampler({ width, height, data });
+  }
+
+  constructor(image) {
+    this.width = image.width;
+    this.height = image.height;
+    this.stride = image.data.length / (image.width * image.height);
+
+    // Precompute once so that sampling is just lookups
+    this.values = new Float32Array(this.width * this.height);
+    const { data } = image;
+    for (let i = 0; i < this.values.length; i++) {
+      const o = i * this.stride;
+      if (this.stride < 3) {
+        this.values[i] = data[o] / 255;
+        continue;
+      }
+      const l =
+        (0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2]) / 255;
+      const a = this.stride === 4 ? data[o + 3] / 255 : 1;
+      this.values[i] = l * a + (1 - a);
+    }
+  }
+
+  pixel(x, y) {
+    x = clamp(0, this.width - 1, x);
+    y = clamp(0, this.height - 1, y);
+    return this.values[y * this.width + x];
+  }
+
+  // u, v in image pixels
+  sample(u, v, bilinear = true) {
+    if (!bilinear) return this.pixel(Math.floor(u), Math.floor(v));
+
+    // Sample between pixel centres
+    u -= 0.5;
+    v -= 0.5;
+    const x0 = Math.floor(u),
+      y0 = Math.floor(v);
+    const tx = u - x0,
+      ty = v - y0;
+    const top = lerp(this.pixel(x0, y0), this.pixel(x0 + 1, y0), tx);
+    const bottom = lerp(this.pixel(x0, y0 + 1), this.pixel(x0 + 1, y0 + 1), tx);
+    return lerp(top, bottom, ty);
+  }
+}
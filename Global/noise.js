@@ -0,0 +1,329 @@
+import { prng } from "./prng.js";
+
+// Builds a shuffled permutation table (doubled to avoid wrapping indices)
+const permutation = (random) => {
+  const p = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) p[i] = i;
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [p[i], p[j]] = [p[j], p[i]];
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+  return perm;
+};
+
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+// Seeded 2D value noise in [-1, 1]
+export function createValueNoise2D(seed = 0) {
+  const random = prng(seed);
+  const perm = permutation(random);
+  const values = new Float32Array(256);
+  for (let i = 0; i < 256; i++) values[i] = random() * 2 - 1;
+
+  const lattice = (x, y) => values[perm[(x & 255) + perm[y & 255]]];
+
+  return function (x, y) {
+    const x0 = Math.floor(x),
+      y0 = Math.floor(y);
+    const tx = fade(x - x0),
+      ty = fade(y - y0);
+    const a = lattice(x0, y0),
+      b = lattice(x0 + 1, y0),
+      c = lattice(x0, y0 + 1),
+      d = lattice(x0 + 1, y0 + 1);
+    return (a + (b - a) * tx) * (1 - ty) + (c + (d - c) * tx) * ty;
+  };
+}
+
+// Seeded 3D value noise in [-1, 1]
+export function createValueNoise3D(seed = 0) {
+  const random = prng(seed);
+  const perm = permutation(random);
+  const values = new Float32Array(256);
+  for (let i = 0; i < 256; i++) values[i] = random() * 2 - 1;
+
+  const lattice = (x, y, z) =>
+    values[perm[(x & 255) + perm[(y & 255) + perm[z & 255]]]];
+
+  return function (x, y, z) {
+    const x0 = Math.floor(x),
+      y0 = Math.floor(y),
+      z0 = Math.floor(z);
+    const tx = fade(x - x0),
+      ty = fade(y - y0),
+      tz = fade(z - z0);
+    const layer = (zi) => {
+      const a = lattice(x0, y0, zi),
+        b = lattice(x0 + 1, y0, zi),
+        c = lattice(x0, y0 + 1, zi),
+        d = lattice(x0 + 1, y0 + 1, zi);
+      return (a + (b - a) * tx) * (1 - ty) + (c + (d - c) * tx) * ty;
+    };
+    const near = layer(z0);
+    return near + (layer(z0 + 1) - near) * tz;
+  };
+}
+
+// Simplex noise after Stefan Gustavson's reference implementation, with the
+// permutation table shuffled by prng(seed). Output is roughly in [-1, 1].
+
+const GRAD3 = new Float32Array([
+  1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0, 1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0,
+  -1, 0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1,
+]);
+const GRAD4 = new Float32Array([
+  0, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0, -1, 1, 1, 0, -1, 1, -1,
+  0, -1, -1, 1, 0, -1, -1, -1, 1, 0, 1, 1, 1, 0, 1, -1, 1, 0, -1, 1, 1, 0, -1,
+  -1, -1, 0, 1, 1, -1, 0, 1, -1, -1, 0, -1, 1, -1, 0, -1, -1, 1, 1, 0, 1, 1, 1,
+  0, -1, 1, -1, 0, 1, 1, -1, 0, -1, -1, 1, 0, 1, -1, 1, 0, -1, -1, -1, 0, 1, -1,
+  -1, 0, -1, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0, -1, 1, 1, 0,
+  -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1, 0,
+]);
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+const F4 = (Math.sqrt(5) - 1) / 4;
+const G4 = (5 - Math.sqrt(5)) / 20;
+
+export function createSimplexNoise2D(seed = 0) {
+  const perm = permutation(prng(seed));
+  const permMod12 = perm.map((v) => v % 12);
+
+  return function (x, y) {
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s),
+      j = Math.floor(y + s);
+    const t = (i + j) * G2;
+    const x0 = x - (i - t),
+      y0 = y - (j - t);
+    // Which of the two triangles of the skewed cell we're in
+    const i1 = x0 > y0 ? 1 : 0,
+      j1 = x0 > y0 ? 0 : 1;
+    const x1 = x0 - i1 + G2,
+      y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2,
+      y2 = y0 - 1 + 2 * G2;
+    const ii = i & 255,
+      jj = j & 255;
+
+    const corner = (dx, dy, gi) => {
+      let t = 0.5 - dx * dx - dy * dy;
+      if (t < 0) return 0;
+      gi *= 3;
+      t *= t;
+      return t * t * (GRAD3[gi] * dx + GRAD3[gi + 1] * dy);
+    };
+
+    return (
+      70 *
+      (corner(x0, y0, permMod12[ii + perm[jj]]) +
+        corner(x1, y1, permMod12[ii + i1 + perm[jj + j1]]) +
+        corner(x2, y2, permMod12[ii + 1 + perm[jj + 1]]))
+    );
+  };
+}
+
+export function createSimplexNoise3D(seed = 0) {
+  const perm = permutation(prng(seed));
+  const permMod12 = perm.map((v) => v % 12);
+
+  return function (x, y, z) {
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s),
+      j = Math.floor(y + s),
+      k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+    const x0 = x - (i - t),
+      y0 = y - (j - t),
+      z0 = z - (k - t);
+
+    // Which of the six tetrahedra of the skewed cell we're in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+      else if (x0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+      else [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+    } else {
+      if (y0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+      else if (x0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+      else [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+    }
+
+    const ii = i & 255,
+      jj = j & 255,
+      kk = k & 255;
+
+    const corner = (dx, dy, dz, gi) => {
+      let t = 0.6 - dx * dx - dy * dy - dz * dz;
+      if (t < 0) return 0;
+      gi *= 3;
+      t *= t;
+      return t * t * (GRAD3[gi] * dx + GRAD3[gi + 1] * dy + GRAD3[gi + 2] * dz);
+    };
+
+    return (
+      32 *
+      (corner(x0, y0, z0, permMod12[ii + perm[jj + perm[kk]]]) +
+        corner(
+          x0 - i1 + G3,
+          y0 - j1 + G3,
+          z0 - k1 + G3,
+          permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]]
+        ) +
+        corner(
+          x0 - i2 + 2 * G3,
+          y0 - j2 + 2 * G3,
+          z0 - k2 + 2 * G3,
+          permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]]
+        ) +
+        corner(
+          x0 - 1 + 3 * G3,
+          y0 - 1 + 3 * G3,
+          z0 - 1 + 3 * G3,
+          permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]]
+        ))
+    );
+  };
+}
+
+export function createSimplexNoise4D(seed = 0) {
+  const perm = permutation(prng(seed));
+
+  return function (x, y, z, w) {
+    const s = (x + y + z + w) * F4;
+    const i = Math.floor(x + s),
+      j = Math.floor(y + s),
+      k = Math.floor(z + s),
+      l = Math.floor(w + s);
+    const t = (i + j + k + l) * G4;
+    const x0 = x - (i - t),
+      y0 = y - (j - t),
+      z0 = z - (k - t),
+      w0 = w - (l - t);
+
+    // Rank the coordinates to find which of the 24 simplices we're in
+    let rankx = 0,
+      ranky = 0,
+      rankz = 0,
+      rankw = 0;
+    if (x0 > y0) rankx++;
+    else ranky++;
+    if (x0 > z0) rankx++;
+    else rankz++;
+    if (x0 > w0) rankx++;
+    else rankw++;
+    if (y0 > z0) ranky++;
+    else rankz++;
+    if (y0 > w0) ranky++;
+    else rankw++;
+    if (z0 > w0) rankz++;
+    else rankw++;
+
+    const ii = i & 255,
+      jj = j & 255,
+      kk = k & 255,
+      ll = l & 255;
+
+    const corner = (step) => {
+      // Offsets of this corner are 1 for every coordinate ranked >= 4 - step
+      const i1 = rankx >= 4 - step ? 1 : 0,
+        j1 = ranky >= 4 - step ? 1 : 0,
+        k1 = rankz >= 4 - step ? 1 : 0,
+        l1 = rankw >= 4 - step ? 1 : 0;
+      const dx = x0 - i1 + step * G4,
+        dy = y0 - j1 + step * G4,
+        dz = z0 - k1 + step * G4,
+        dw = w0 - l1 + step * G4;
+      let t = 0.6 - dx * dx - dy * dy - dz * dz - dw * dw;
+      if (t < 0) return 0;
+      const gi =
+        (perm[ii + i1 + perm[jj + j1 + perm[kk + k1 + perm[ll + l1]]]] % 32) *
+        4;
+      t *= t;
+      return (
+        t *
+        t *
+        (GRAD4[gi] * dx +
+          GRAD4[gi + 1] * dy +
+          GRAD4[gi + 2] * dz +
+          GRAD4[gi + 3] * dw)
+      );
+    };
+
+    return 27 * (corner(0) + corner(1) + corner(2) + corner(3) + corner(4));
+  };
+}
+
+// Fractal sums over any of the noise functions above, of any dimension.
+// Each is normalised back to roughly the range of the source noise.
+
+export function fbm(noise, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+  return function (...coords) {
+    let sum = 0,
+      amplitude = 1,
+      frequency = 1,
+      total = 0;
+    for (let o = 0; o < octaves; o++) {
+      sum += noise(...coords.map((c) => c * frequency)) * amplitude;
+      total += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+    return sum / total;
+  };
+}
+
+// Sharp creases where the noise crosses zero, in [0, 1]
+export function ridged(
+  noise,
+  { octaves = 5, lacunarity = 2, gain = 0.5, offset = 1 } = {}
+) {
+  return function (...coords) {
+    let sum = 0,
+      amplitude = 1,
+      frequency = 1,
+      total = 0,
+      weight = 1;
+    for (let o = 0; o < octaves; o++) {
+      let n = offset - Math.abs(noise(...coords.map((c) => c * frequency)));
+      n *= n * weight;
+      weight = Math.min(1, Math.max(0, n));
+      sum += n * amplitude;
+      total += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+    return sum / total;
+  };
+}
+
+// Sum of absolute noise, in [0, 1]
+export function turbulence(
+  noise,
+  { octaves = 5, lacunarity = 2, gain = 0.5 } = {}
+) {
+  return fbm((...coords) => Math.abs(noise(...coords)), {
+    octaves,
+    lacunarity,
+    gain,
+  });
+}
+
+// Offsets the input of a 2D noise by two other (seeded) noise fields, after
+// Inigo Quilez's domain warping.
+export function domainWarp2D(
+  noise,
+  { seed = 0, amount = 1, frequency = 1, warp = createSimplexNoise2D } = {}
+) {
+  const warpX = warp(seed),
+    warpY = warp(seed + 1);
+  return function (x, y) {
+    const dx = warpX(x * frequency, y * frequency) * amount;
+    const dy = warpY(x * frequency + 5.2, y * frequency + 1.3) * amount;
+    return noise(x + dx, y + dy);
+  };
+}
@@ -1,4 +1,15 @@
+// FNV-1a, so that string seeds ("seed", "portrait-03") are accepted too
+export function hashSeed(seed) {
+  if (typeof seed != "string") return seed;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    h ^= seed.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
 export function prng(seed) {
+  seed = hashSeed(seed);
   return function () {
     // force to 32‑bit int
     seed |= 0;
@@ -11,3 +22,26 @@ export function prng(seed) {
     return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
   };
 }
+
+// A random source from the usual options: an injected `random` function wins,
+// then a `seed`, falling back on Math.random
+export function createRandom({ seed, random } = {}) {
+  if (typeof random == "function") return random;
+  if (seed !== undefined) return prng(seed);
+  return Math.random;
+}
+
+// The seed for a demo page: its ?seed= parameter when given, otherwise a
+// random one. It is written back into the address (and shown in the title)
+// so that a run can be reloaded or shared.
+export function seedFromURL() {
+  const params = new URLSearchParams(location.search);
+  const param = parseInt(params.get("seed"), 10);
+  const seed = Number.isFinite(param)
+    ? param
+    : Math.floor(Math.random() * 0x100000000);
+  params.set("seed", seed);
+  history.replaceState(null, "", `?${params}`);
+  document.title += ` (seed ${seed})`;
+  return seed;
+}
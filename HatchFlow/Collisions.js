@@ -0,0 +1,261 @@
+// Collision indexes for HatchFlow. Both answer isTooClose(point, range, mode,
+// direction, debug), where mode "box" looks all around the point and "cone"
+// only ahead of it along `direction`, record lines with markSegment() and
+// forget them again with unmarkSegment().
+
+// Marks streamlines into a byte per pixel. Pixels hold a count of the marks
+// over them, so that a line can be unmarked without clearing its neighbours.
+// A count that reaches 255 no longer knows how many marks it holds, so it
+// stays set for good.
+export class BitmapCollisions {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.bitmap = new Uint8Array(width * height);
+  }
+
+  isTooClose(pt, range, mode = "box", direction = { x: 0, y: 0 }, debug = {}) {
+    if (mode === "box") {
+      // Whole pixels either side, for fractional ranges
+      const r = Math.ceil(range);
+      for (let dx = -r; dx <= r; dx++) {
+        for (let dy = -r; dy <= r; dy++) {
+          const nx = Math.floor(pt.x) + dx;
+          const ny = Math.floor(pt.y) + dy;
+          if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+            if (this.bitmap[ny * this.width + nx]) {
+              const distSquared = (pt.x - nx) ** 2 + (pt.y - ny) ** 2;
+              if (distSquared <= range * range) {
+                return true;
+              }
+            }
+          }
+        }
+      }
+    } else if (mode === "cone") {
+      const steps = range;
+      const angleSpread = Math.PI / 4; // 60 degrees
+
+      for (let i = 1; i <= steps; i += 0.5) {
+        debug.distance = i;
+        const currentSpread = (i / steps) * angleSpread;
+        const raysAtThisDistance = 5 + Math.floor(i * 2);
+        const angleIncrement = (currentSpread * 2) / raysAtThisDistance;
+
+        for (let r = 0; r <= raysAtThisDistance; r++) {
+          const offset = -currentSpread + r * angleIncrement;
+          const baseAngle = Math.atan2(direction.y, direction.x);
+          const a = baseAngle + offset;
+
+          const nx = Math.floor(pt.x + i * Math.cos(a));
+          const ny = Math.floor(pt.y + i * Math.sin(a));
+
+          if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+            if (this.bitmap[ny * this.width + nx]) {
+              return true;
+            }
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  markPoint({ x, y }, delta = 1) {
+    x = Math.floor(x);
+    y = Math.floor(y);
+    const size = 1; // Increase the size of the marked area
+    for (let dx = -size; dx <= size; dx++) {
+      for (let dy = -size; dy <= size; dy++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+          const i = ny * this.width + nx;
+          if (this.bitmap[i] < 255) this.bitmap[i] += delta;
+        }
+      }
+    }
+  }
+  // After: Example using a Bresenham line routine
+  markSegment(oldPoint, newPoint, delta = 1) {
+    // A simple Bresenham line algorithm
+    // Convert to integers for Bresenham
+    let x0 = Math.floor(oldPoint.x);
+    let y0 = Math.floor(oldPoint.y);
+    const x1 = Math.floor(newPoint.x);
+    const y1 = Math.floor(newPoint.y);
+
+    const dx = Math.abs(x1 - x0);
+    const sx = x0 < x1 ? 1 : -1;
+    const dy = -Math.abs(y1 - y0);
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+
+    while (true) {
+      // Mark the pixel at (x0, y0).
+      if (x0 >= 0 && x0 < this.width && y0 >= 0 && y0 < this.height) {
+        this.markPoint({ x: x0, y: y0 }, delta);
+      }
+
+      // If we reached the endpoint, break
+      if (x0 === x1 && y0 === y1) break;
+
+      const e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x0 += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y0 += sy;
+      }
+    }
+  }
+
+  unmarkSegment(oldPoint, newPoint) {
+    this.markSegment(oldPoint, newPoint, -1);
+  }
+}
+
+// Closest point to p on the segment a-b
+const closestOnSegment = (p, a, b) => {
+  const dx = b.x - a.x,
+    dy = b.y - a.y;
+  const l2 = dx * dx + dy * dy;
+  const t = l2
+    ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / l2))
+    : 0;
+  return { x: a.x + t * dx, y: a.y + t * dy };
+};
+
+// Keeps the segments themselves in a spatial hash, so distances are exact
+// whatever the scale of the output and the spacing can go below a pixel.
+// Cells are sized to the proximity threshold, so a query only visits the
+// cells around the point.
+export class SegmentCollisions {
+  constructor(cellSize = 1) {
+    this.cellSize = Math.max(cellSize, Number.EPSILON);
+    this.clear();
+  }
+
+  clear() {
+    this.cells = new Map();
+  }
+
+  // Cells can be any integer pair, so the hash isn't tied to a canvas size
+  key(cx, cy) {
+    return `${cx},${cy}`;
+  }
+
+  forEachCell(x0, y0, x1, y1, fn) {
+    const c0 = Math.floor(x0 / this.cellSize),
+      c1 = Math.floor(x1 / this.cellSize),
+      r0 = Math.floor(y0 / this.cellSize),
+      r1 = Math.floor(y1 / this.cellSize);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) fn(this.key(c, r));
+    }
+  }
+
+  markSegment(a, b) {
+    const segment = { a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y } };
+    this.forEachCell(
+      Math.min(a.x, b.x),
+      Math.min(a.y, b.y),
+      Math.max(a.x, b.x),
+      Math.max(a.y, b.y),
+      (key) => {
+        const cell = this.cells.get(key);
+        if (cell) cell.push(segment);
+        else this.cells.set(key, [segment]);
+      }
+    );
+  }
+
+  unmarkSegment(a, b) {
+    let segment;
+    this.forEachCell(
+      Math.min(a.x, b.x),
+      Math.min(a.y, b.y),
+      Math.max(a.x, b.x),
+      Math.max(a.y, b.y),
+      (key) => {
+        const cell = this.cells.get(key);
+        if (!cell) return;
+        segment ??= cell.find(
+          (s) =>
+            s.a.x === a.x && s.a.y === a.y && s.b.x === b.x && s.b.y === b.y
+        );
+        const i = cell.indexOf(segment);
+        if (i < 0) return;
+        cell.splice(i, 1);
+        if (!cell.length) this.cells.delete(key);
+      }
+    );
+  }
+
+  // Segments in the cells overlapping the square of half-size `range`
+  segmentsNear(pt, range) {
+    const found = new Set();
+    this.forEachCell(
+      pt.x - range,
+      pt.y - range,
+      pt.x + range,
+      pt.y + range,
+      (key) => {
+        const cell = this.cells.get(key);
+        if (cell) for (const s of cell) found.add(s);
+      }
+    );
+    return found;
+  }
+
+  // Distance from pt to the nearest marked segment within `range`, or
+  // Infinity
+  distance(pt, range) {
+    let nearest = Infinity;
+    for (const { a, b } of this.segmentsNear(pt, range)) {
+      const q = closestOnSegment(pt, a, b);
+      nearest = Math.min(nearest, Math.hypot(q.x - pt.x, q.y - pt.y));
+    }
+    return nearest <= range ? nearest : Infinity;
+  }
+
+  isTooClose(pt, range, mode = "box", direction = { x: 0, y: 0 }, debug = {}) {
+    if (mode === "box") return this.distance(pt, range) <= range;
+    if (mode !== "cone") return false;
+
+    // The bitmap's cone, scaled to `range`: from an eighth of it (1 at most)
+    // to `range` ahead, widening to 45 degrees either side of `direction` at
+    // full range. Each segment is tested at its closest point and at steps
+    // short enough not to skip the cone.
+    const heading = Math.atan2(direction.y, direction.x);
+    const angleSpread = Math.PI / 4;
+    const inner = Math.min(1, range / 8);
+    const inCone = (q) => {
+      const d = Math.hypot(q.x - pt.x, q.y - pt.y);
+      if (d < inner || d > range) return Infinity;
+      let offset = Math.atan2(q.y - pt.y, q.x - pt.x) - heading;
+      offset = Math.abs(Math.atan2(Math.sin(offset), Math.cos(offset)));
+      return offset <= (d / range) * angleSpread ? d : Infinity;
+    };
+
+    let hit = Infinity;
+    const spacing = range / 8;
+    for (const { a, b } of this.segmentsNear(pt, range)) {
+      hit = Math.min(hit, inCone(closestOnSegment(pt, a, b)));
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      const n = Math.ceil(length / spacing);
+      for (let i = 0; i <= n; i++) {
+        const t = n ? i / n : 0;
+        hit = Math.min(
+          hit,
+          inCone({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t })
+        );
+      }
+    }
+
+    debug.distance = hit < Infinity ? hit : range;
+    return hit < Infinity;
+  }
+}
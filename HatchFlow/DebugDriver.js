@@ -0,0 +1,79 @@
+// Browser-only helpers for stepping through a HatchFlow interactively. The
+// core class knows nothing about the page; these wire it to clicks and draw
+// its debug events.
+
+// A HatchFlow `debug` hook drawing onto a 2D context: the context is cleared
+// each batch, seeds are dots and probe rays are green, or red where they
+// collided, with the distance of the hit.
+export function drawDebugEvents(ctx, { rayLength = 30 } = {}) {
+  return (event) => {
+    switch (event.type) {
+      case "batch":
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        break;
+      case "seed":
+        ctx.beginPath();
+        ctx.arc(event.point.x, event.point.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      case "probe": {
+        const { from, direction } = event;
+        ctx.strokeStyle = event.collided ? "red" : "green";
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(
+          from.x + direction.x * rayLength,
+          from.y + direction.y * rayLength
+        );
+        ctx.stroke();
+        break;
+      }
+      case "collision":
+        ctx.fillStyle = "black";
+        ctx.font = "16px Arial";
+        ctx.fillText(
+          `Distance: ${event.distance}`,
+          event.point.x + 5,
+          event.point.y - 5
+        );
+        break;
+    }
+  };
+}
+
+// Runs generation once `target` is clicked, or one batch per click with
+// `stepPerClick`. Resolves with all the snakes, like HatchFlow.generate.
+export function generateOnClick(
+  hatchFlow,
+  draw,
+  { target = window, stepPerClick = false } = {}
+) {
+  return new Promise((resolve) => {
+    let pending = 0,
+      started = false;
+    hatchFlow.running = true;
+
+    const generateHatches = () => {
+      if (started && (!stepPerClick || pending > 0)) {
+        pending = Math.max(0, pending - 1);
+        hatchFlow.emit({ type: "batch" });
+        const newSnakes = hatchFlow.step(hatchFlow.pointsPerFrame);
+        if (draw) draw(newSnakes);
+      }
+
+      if (hatchFlow.running) {
+        requestAnimationFrame(generateHatches);
+      } else {
+        target.removeEventListener("click", onClick);
+        resolve(hatchFlow.finish());
+      }
+    };
+    const onClick = () => {
+      started = true;
+      pending++;
+    };
+    target.addEventListener("click", onClick);
+
+    requestAnimationFrame(generateHatches);
+  });
+}
@@ -1,17 +1,96 @@
+import { createRandom } from "../Global/prng.js";
+import { clamp, smoothstep, rotate } from "../Global/utils.js";
+import { BitmapCollisions, SegmentCollisions } from "./Collisions.js";
+import { TABLEAUS, integrate } from "./Integrators.js";
+
+const pathLength = (path) => {
+  let length = 0;
+  for (let i = 1; i < path.length; i++)
+    length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  return length;
+};
+
+// A spacing option as a function of (point, seed): a number is constant and
+// "radius" reads the radius of the streamline's seed point (as set by PSD)
+const spacingFunction = (spacing) => {
+  if (spacing === "radius") return (point, seed) => seed.radius;
+  if (typeof spacing == "function") return spacing;
+  return () => spacing;
+};
+
+// Settings a cross-hatching layer can override
+const LAYER_OPTIONS = [
+  "minLength",
+  "maxLength",
+  "segmentLength",
+  "lineWidth",
+  "taper",
+  "stepSize",
+];
+
 export class HatchFlow {
   static STRATEGIES = Object.freeze({
     RANDOM: 0,
     LINEAR: 1,
   });
+  // How drawn streamlines are remembered for proximity tests: a pixel bitmap,
+  // or the segments themselves in a spatial hash, which gives exact distances
+  // at any output scale. An object with isTooClose() and markSegment() works
+  // too, or a function (hatchFlow) => index that makes one for each layer
+  // that keeps its own.
+  static COLLISION_INDEXES = Object.freeze({
+    BITMAP: "bitmap",
+    SEGMENTS: "segments",
+  });
+  static INTEGRATORS = Object.freeze({
+    EULER: "euler",
+    MIDPOINT: "midpoint",
+    RK4: "rk4",
+    RK45: "rk45",
+  });
+  // What fieldFunction(point) returns: an angle in radians, a vector ({x, y}
+  // or [x, y], e.g. VectorGrid.field()), or a scalar whose gradient, or
+  // iso-lines (at right angles to it), are followed.
+  static FIELD_TYPES = Object.freeze({
+    ANGLE: "angle",
+    VECTOR: "vector",
+    GRADIENT: "gradient",
+    ISOLINE: "isoline",
+  });
 
   constructor({
     width,
     height,
     points,
     proximityThreshold = 5,
+    seedSpacing = proximityThreshold,
+    stopSpacing = proximityThreshold,
     selectionStrategy = 0,
     pointsPerFrame = 20,
     segmentLength = 250,
+    minLength = 0,
+    maxLength = Infinity,
+    lineWidth = 1,
+    taper = 0,
+    joinDistance = 0,
+    joinAngle = Math.PI / 4,
+    integrator = HatchFlow.INTEGRATORS.EULER,
+    stepSize = 1,
+    minStepSize = stepSize / 8,
+    maxStepSize = stepSize * 4,
+    tolerance = 0.01,
+    maxTurn = Math.PI / 2,
+    fieldType = HatchFlow.FIELD_TYPES.ANGLE,
+    gradientStep = 1,
+    minMagnitude = 0,
+    axial = false,
+    layers,
+    toneFunction,
+    shareCollisions = false,
+    seed,
+    random,
+    debug,
+    collisionIndex = HatchFlow.COLLISION_INDEXES.BITMAP,
     fieldFunction = function (point) {
       let baseAngle =
         Math.atan2(point.y - this.height / 2, point.x - this.width / 2) +
@@ -23,7 +102,14 @@ export class HatchFlow {
     this.width = width;
     this.height = height;
     this.points = [...points];
+    // Spacing between streamlines, after Jobard and Lefer: a seed is only
+    // used at least `seedSpacing` (dsep) away from existing lines, and lines
+    // grow until they come within `stopSpacing` (dtest) of another. Either can
+    // be a number, a function of (point, seed) or "radius"; both default to
+    // `proximityThreshold`.
     this.proximityThreshold = proximityThreshold;
+    this.seedSpacing = spacingFunction(seedSpacing);
+    this.stopSpacing = spacingFunction(stopSpacing);
     this.pointsPerFrame = pointsPerFrame;
     this.selectionStrategy = Object.values(HatchFlow.STRATEGIES).includes(
       selectionStrategy
@@ -31,83 +117,284 @@ export class HatchFlow {
       ? selectionStrategy
       : HatchFlow.STRATEGIES.RANDOM;
     this.fieldFunction = fieldFunction;
+    // Scalar fields are differentiated over `gradientStep`. Growth stops
+    // where the field's vectors are no longer than `minMagnitude`. Vectors in
+    // `axial` fields have no sign, and are flipped to keep going the same way.
+    if (!Object.values(HatchFlow.FIELD_TYPES).includes(fieldType))
+      throw new Error(`Unknown field type "${fieldType}"`);
+    this.fieldType = fieldType;
+    this.gradientStep = gradientStep;
+    this.minMagnitude = minMagnitude;
+    this.axial = axial;
+    // Each half of a streamline is at most `segmentLength` points long, and
+    // the whole is kept only if its length is at least `minLength`, and cut
+    // off at `maxLength`.
     this.segmentLength = segmentLength;
+    this.minLength = minLength;
+    this.maxLength = maxLength;
+    // Stroke width of each streamline, a number or a function of its seed
+    // point, narrowing to nothing over the `taper` fraction of its length at
+    // either end.
+    this.lineWidth = lineWidth;
+    this.taper = taper;
+    // Streamlines ending within `joinDistance` of another, heading on within
+    // `joinAngle`, are joined into one once generation finishes.
+    this.joinDistance = joinDistance;
+    this.joinAngle = joinAngle;
+    // Streamlines are integrated in steps of `stepSize`; RK45 adapts it
+    // between `minStepSize` and `maxStepSize` to keep each step's error under
+    // `tolerance`. Growth stops at singularities, where the field is
+    // undefined or turns by more than `maxTurn` within a step.
+    if (!TABLEAUS[integrator])
+      throw new Error(`Unknown integrator "${integrator}"`);
+    this.integrator = integrator;
+    this.stepSize = stepSize;
+    this.minStepSize = minStepSize;
+    this.maxStepSize = maxStepSize;
+    this.tolerance = tolerance;
+    this.maxTurn = maxTurn;
+    this.seed = seed;
+    this.random = createRandom({ seed, random });
+    // Optional hook receiving structured debug events: { type: "batch" } as
+    // each generate() frame starts, { type: "seed", point } for each streamline seed,
+    // { type: "probe", from, direction, collided, distance } for each growth
+    // step, { type: "collision", point, distance } when one stops and
+    // { type: "singularity", point } when the field gives out.
+    this.debug = debug;
 
     this.i = 0;
     this.running = false;
     this.snakes = [];
+    this.rotation = 0;
+
+    // With layers that keep their own, there's nothing to share
+    if (!layers || shareCollisions)
+      this.collisions = this.createCollisionIndex(collisionIndex);
+    else if (typeof collisionIndex?.isTooClose == "function")
+      throw new Error(
+        "A collisionIndex object can't be given to each layer without shareCollisions; pass a function that makes one instead"
+      );
+
+    // Cross-hatching: each layer ({ angle, threshold, ...overrides }) hatches
+    // all the seed points again with the field turned by `angle` (radians),
+    // only where toneFunction(point) is above its `threshold`. Layers run in
+    // order and their snakes are tagged with `layer`. With `shareCollisions`
+    // they keep clear of each other's lines, otherwise each has its own index.
+    this.toneFunction = toneFunction;
+    if (layers) {
+      this.layers = layers.map((options, layer) => {
+        // Inherits the generator's settings, overriding those given
+        const context = Object.create(this);
+        context.layers = undefined;
+        context.layer = layer;
+        context.rotation = options.angle ?? 0;
+        context.threshold = options.threshold;
+        for (const key of LAYER_OPTIONS)
+          if (options[key] !== undefined) context[key] = options[key];
+        for (const key of ["seedSpacing", "stopSpacing"])
+          if (options[key] !== undefined)
+            context[key] = spacingFunction(options[key]);
+        context.points = [...points];
+        context.i = 0;
+        context.collisions = shareCollisions
+          ? this.collisions
+          : context.createCollisionIndex(collisionIndex);
+        return { ...options, context };
+      });
+      this.currentLayer = 0;
+    }
+  }
+
+  createCollisionIndex(collisionIndex) {
+    switch (collisionIndex) {
+      case HatchFlow.COLLISION_INDEXES.BITMAP:
+        return new BitmapCollisions(this.width, this.height);
+      case HatchFlow.COLLISION_INDEXES.SEGMENTS:
+        return new SegmentCollisions(this.maxSpacing());
+      default:
+        if (typeof collisionIndex == "function") return collisionIndex(this);
+        if (typeof collisionIndex?.isTooClose == "function")
+          return collisionIndex;
+        throw new Error(`Unknown collision index "${collisionIndex}"`);
+    }
+  }
+
+  // The widest spacing around the seed points, to size the segment hash
+  maxSpacing() {
+    let spacing = 0;
+    for (const p of this.points)
+      spacing = Math.max(
+        spacing,
+        this.seedSpacing(p, p),
+        this.stopSpacing(p, p)
+      );
+    return spacing || 1;
+  }
+
+  emit(event) {
+    if (this.debug) this.debug(event);
+  }
+
+  // Grows up to n streamlines and returns them. Clears `running` once the
+  // seed points run out.
+  step(n = 1) {
+    if (this.layers) return this.stepLayers(n);
+
+    let newSnakes = [];
+
+    for (let i = 0; i < n; i++) {
+      let point = this.getNextPoint();
+      if (!point) {
+        this.running = false;
+        break;
+      }
+
+      if (
+        !this.active(point) ||
+        this.isTooClose(
+          point,
+          "box",
+          undefined,
+          {},
+          this.seedSpacing(point, point)
+        )
+      ) {
+        i--;
+        continue;
+      }
 
-    this.bitmap = new Uint8Array(width * height);
+      this.emit({ type: "seed", point });
+
+      const marks = [],
+        state = {};
+      const tip = this.segment(point, 1, marks, this.maxLength, state);
+      // A closed loop has no tail, and starts and ends at its seed
+      const tail = state.closed
+        ? [{ x: point.x, y: point.y }]
+        : this.segment(
+            point,
+            -1,
+            marks,
+            this.maxLength - pathLength([point, ...tip])
+          );
+      const snake = { path: [...tail.reverse(), ...tip], point };
+      if (state.closed) snake.closed = true;
+
+      // Stubs are dropped and their marks taken back out, leaving the space
+      // to other streamlines
+      if (pathLength(snake.path) < this.minLength) {
+        for (const [a, b] of marks) this.unmarkSegment(a, b);
+        i--;
+        continue;
+      }
+
+      if (this.layer !== undefined) snake.layer = this.layer;
+      this.setWidths(snake);
+      newSnakes.push(snake);
+      this.snakes.push(snake);
+    }
+
+    return newSnakes;
+  }
+
+  stepLayers(n) {
+    const newSnakes = [];
+    while (this.currentLayer < this.layers.length && newSnakes.length < n) {
+      const { context } = this.layers[this.currentLayer];
+      newSnakes.push(...context.step(n - newSnakes.length));
+      if (!context.points.length) this.currentLayer++;
+    }
+    if (this.currentLayer >= this.layers.length) this.running = false;
+    return newSnakes;
+  }
+
+  // Whether this layer hatches at `point`: everywhere without a tone field or
+  // threshold, otherwise where the tone is above the threshold
+  active(point) {
+    return (
+      this.threshold === undefined ||
+      !this.toneFunction ||
+      this.toneFunction(point) > this.threshold
+    );
+  }
+
+  // Yields each new snake until the seed points run out or `running` is
+  // switched off. Returns all the snakes.
+  *steps() {
+    this.running = true;
+    while (this.running) {
+      const [snake] = this.step(1);
+      if (snake) yield snake;
+    }
+    return this.finish();
+  }
+
+  // Called once the seeds run out; joins streamlines if `joinDistance` is
+  // set, each layer on its own and with its own settings. Returns all the
+  // snakes.
+  finish() {
+    if (this.joinDistance > 0)
+      this.snakes = this.layers
+        ? this.layers.flatMap(({ context }, layer) =>
+            context.join(this.snakes.filter((s) => s.layer === layer))
+          )
+        : this.join(this.snakes);
+    return this.snakes;
+  }
+
+  generateSync() {
+    const steps = this.steps();
+    while (!steps.next().done);
+    return this.snakes;
   }
 
   async generate(draw) {
+    // Fall back to timers where there is no requestAnimationFrame (Node etc.)
+    const nextFrame =
+      typeof requestAnimationFrame == "function"
+        ? requestAnimationFrame
+        : (cb) => setTimeout(cb, 0);
+
     return new Promise((resolve) => {
       this.running = true;
 
-      let nextFrame = false;
-      window.addEventListener("click", () => {
-        nextFrame = true;
-      });
-
-      const generateHatches = async () => {
-        let newSnakes = [];
-
-        if (nextFrame) {
-          // nextFrame = false;
-          debugCanvas.cx.clearRect(0, 0, this.width, this.height);
-
-          for (let i = 0; i < this.pointsPerFrame; i++) {
-            let point = this.getNextPoint();
-            if (!point) {
-              this.running = false;
-              break;
-            }
-
-            if (this.isTooClose(point)) {
-              i--;
-              continue;
-            }
-
-            debugCanvas.cx.beginPath();
-            debugCanvas.cx.arc(point.x, point.y, 5, 0, Math.PI * 2);
-            debugCanvas.cx.fill();
-
-            const tip = await this.segment(point, 1);
-            const tail = await this.segment(point, -1);
-            const snake = { path: [...tail.reverse(), ...tip], point };
-
-            // if (snake.path.length > 10) {
-            newSnakes.push(snake);
-            this.snakes.push(snake);
-
-            // for (const mark of snake) {
-            //   this.markPoint(mark);
-            // }
-            // } else {
-            //   for (const mark of snake) {
-            //     this.unmarkPoint(mark);
-            //   }
-            // }
-          }
-          console.log(newSnakes);
-          draw(newSnakes);
-        }
+      const generateHatches = () => {
+        this.emit({ type: "batch" });
+        const newSnakes = this.step(this.pointsPerFrame);
+        if (draw) draw(newSnakes);
 
         if (this.running) {
-          requestAnimationFrame(generateHatches);
+          nextFrame(generateHatches);
         } else {
           // draw(this.snakes);
-          resolve(this.snakes);
+          resolve(this.finish());
         }
       };
 
-      requestAnimationFrame(generateHatches);
+      nextFrame(generateHatches);
     });
   }
 
-  async segment(point, direction = 1) {
+  // Grows one half of a streamline from `point`, recording each segment it
+  // marks in `marks`. `state` tracks the step size and heading, and is left
+  // `closed` if the streamline came back round to its seed.
+  segment(
+    point,
+    direction = 1,
+    marks = [],
+    maxLength = this.maxLength,
+    state = {}
+  ) {
     let c = false,
-      growthTries = 0;
+      growthTries = 0,
+      length = 0;
+    Object.assign(state, {
+      h: this.stepSize,
+      heading: null,
+      start: null,
+      away: false,
+      closed: false,
+    });
 
     let segment = [],
       buffer = [];
@@ -115,56 +402,139 @@ export class HatchFlow {
     let op = point;
     while (!c) {
       if (growthTries++ > 10000) c = true;
-      // if (segment.length > this.segmentLength) c = true;
-      const tp = this.grow(p, segment, buffer, direction);
+      if (segment.length >= this.segmentLength || length >= maxLength) break;
+      const { x, y } = p;
+      const tp = this.grow(p, segment, buffer, direction, point, state);
       if (tp === true) c = true;
+      length += Math.hypot(p.x - x, p.y - y);
       // Update this to deal with different collision types
       if (buffer.length > 1) {
         const b = buffer.splice(0, 1);
         for (const mark of b) {
           this.markSegment(op, mark);
+          marks.push([op, mark]);
           op = mark;
         }
       }
     }
+    // The last point is held back while growing, so that the line doesn't
+    // run into its own tip; mark it now that it has stopped
+    for (const mark of buffer) {
+      this.markSegment(op, mark);
+      marks.push([op, mark]);
+      op = mark;
+    }
 
     return segment;
   }
 
-  grow(point, snake, buffer, direction = 1) {
-    const a = this.fieldFunction(point) - (direction === -1 ? Math.PI : 0);
-    const mv = { x: Math.cos(a), y: Math.sin(a) };
+  grow(
+    point,
+    snake,
+    buffer,
+    direction = 1,
+    seed = point,
+    state = { h: this.stepSize }
+  ) {
+    // The field is read with the seed's attributes at each stage
+    const velocity = (x, y) => {
+      const v = this.fieldVector({ ...point, x, y });
+      const magnitude = v ? Math.hypot(v.x, v.y) : NaN;
+      if (!(magnitude > this.minMagnitude)) return null;
+      let scale = direction / magnitude;
+      if (
+        this.axial &&
+        state.heading &&
+        (v.x * state.heading.x + v.y * state.heading.y) * scale < 0
+      )
+        scale = -scale;
+      return { x: v.x * scale, y: v.y * scale };
+    };
+    const tableau = TABLEAUS[this.integrator];
     const op = { ...point };
-    const np = { x: op.x + mv.x, y: op.y + mv.y };
+
+    // Collisions are only probed at the end of each step, so a step longer
+    // than the stop spacing could jump clean over another line
+    let h = Math.min(state.h, this.stopSpacing(op, seed));
+    let np = integrate(velocity, op, h, tableau, this.maxTurn);
+    if (tableau.e) {
+      // Halve the step until it is accurate enough, then let it grow again
+      while (np && np.error > this.tolerance && h > this.minStepSize) {
+        h = Math.max(this.minStepSize, h / 2);
+        np = integrate(velocity, op, h, tableau, this.maxTurn);
+      }
+      if (np)
+        state.h = clamp(
+          this.minStepSize,
+          this.maxStepSize,
+          h * Math.min(2, 0.9 * (this.tolerance / np.error) ** 0.2)
+        );
+    }
+
+    const distance = np ? Math.hypot(np.x - op.x, np.y - op.y) : 0;
+    const mv = np && {
+      x: (np.x - op.x) / distance,
+      y: (np.y - op.y) / distance,
+    };
+    if (
+      !distance ||
+      (state.heading &&
+        mv.x * state.heading.x + mv.y * state.heading.y <
+          Math.cos(this.maxTurn))
+    ) {
+      this.emit({ type: "singularity", point: op });
+      return true;
+    }
+    state.start ??= mv;
+    state.heading = mv;
+    if (!this.active(np)) return true;
+
     const debug = {};
 
     point.x = np.x;
     point.y = np.y;
-    // Skip if movement doesn’t cause a visible change
+
+    // Back near the seed, heading the same way, after having left it: close
+    // the loop rather than stopping short against its own start. Only the
+    // forward half can close one; a tail coming back has met the tip.
+    const reach = this.stopSpacing(np, seed) + h;
+    const fromSeed = Math.hypot(np.x - seed.x, np.y - seed.y);
+    if (fromSeed > reach * 2) state.away = true;
+    else if (
+      direction === 1 &&
+      state.away &&
+      fromSeed <= reach &&
+      mv.x * state.start.x + mv.y * state.start.y > 0
+    ) {
+      const end = { x: seed.x, y: seed.y };
+      snake.push(end);
+      buffer.push(end);
+      state.closed = true;
+      return true;
+    }
+
     const newPoint = { x: np.x, y: np.y };
+    const spacing = this.stopSpacing(newPoint, seed);
     // const tooClose = this.isTooClose(newPoint);
-    const tooClose = this.isTooClose(newPoint, "cone", mv, debug);
-
-    debugCanvas.cx.strokeStyle = tooClose ? "red" : "green";
-    debugCanvas.cx.beginPath();
-    debugCanvas.cx.moveTo(op.x, op.y);
-    debugCanvas.cx.lineTo(op.x + mv.x * 30, op.y + mv.y * 30);
-    debugCanvas.cx.stroke();
-    if (tooClose) {
-      debugCanvas.cx.fillStyle = "black";
-      debugCanvas.cx.font = "16px Arial";
-      debugCanvas.cx.fillText(
-        `Distance: ${debug.distance}`,
-        np.x + 5,
-        np.y - 5
-      );
+    const tooClose = this.isTooClose(newPoint, "cone", mv, debug, spacing);
+
+    if (this.debug) {
+      this.emit({
+        type: "probe",
+        from: op,
+        direction: mv,
+        collided: tooClose,
+        distance: debug.distance,
+      });
+      if (tooClose)
+        this.emit({ type: "collision", point: np, distance: debug.distance });
     }
 
-    if (
-      !tooClose &&
-      Math.floor(op.x) !== Math.floor(np.x) &&
-      Math.floor(op.y) !== Math.floor(np.y)
-    ) {
+    // Skip steps that barely move from the last point kept: less than half
+    // a step, or half the spacing where that is finer
+    const last = snake[snake.length - 1] ?? seed;
+    const resolution = Math.min(this.stepSize, spacing) / 2;
+    if (!tooClose && Math.hypot(np.x - last.x, np.y - last.y) >= resolution) {
       snake.push(newPoint);
       buffer.push(newPoint);
     }
@@ -172,110 +542,182 @@ export class HatchFlow {
     return tooClose;
   }
 
+  // The field at `point` as a vector of any length, or null where undefined,
+  // turned by the layer's rotation
+  fieldVector(point) {
+    const v = this.baseFieldVector(point);
+    if (!v || !this.rotation) return v;
+    const [x, y] = rotate(v.x, v.y, -this.rotation);
+    return { x, y };
+  }
+
+  baseFieldVector(point) {
+    switch (this.fieldType) {
+      case HatchFlow.FIELD_TYPES.ANGLE: {
+        const a = this.fieldFunction(point);
+        return Number.isFinite(a) ? { x: Math.cos(a), y: Math.sin(a) } : null;
+      }
+      case HatchFlow.FIELD_TYPES.VECTOR: {
+        const v = this.fieldFunction(point);
+        return Array.isArray(v) ? { x: v[0], y: v[1] } : v;
+      }
+      default: {
+        const e = this.gradientStep;
+        const f = (dx, dy) =>
+          this.fieldFunction({ ...point, x: point.x + dx, y: point.y + dy });
+        const gx = (f(e, 0) - f(-e, 0)) / (2 * e),
+          gy = (f(0, e) - f(0, -e)) / (2 * e);
+        return this.fieldType === HatchFlow.FIELD_TYPES.GRADIENT
+          ? { x: gx, y: gy }
+          : { x: -gy, y: gx };
+      }
+    }
+  }
+
   getNextPoint() {
     if (this.points.length < 1) return null;
     if (this.selectionStrategy == HatchFlow.STRATEGIES.RANDOM) {
-      this.i = Math.floor(Math.random() * this.points.length);
+      this.i = Math.floor(this.random() * this.points.length);
       return this.points.splice(this.i, 1)[0];
     } else if (this.selectionStrategy == HatchFlow.STRATEGIES.LINEAR) {
       return this.points.splice(this.i++, 1)[0];
     }
   }
 
-  isTooClose(pt, mode = "box", direction = { x: 0, y: 0 }, debug = {}) {
-    const range = this.proximityThreshold;
-
-    if (mode === "box") {
-      for (let dx = -range; dx <= range; dx++) {
-        for (let dy = -range; dy <= range; dy++) {
-          const nx = Math.floor(pt.x) + dx;
-          const ny = Math.floor(pt.y) + dy;
-          if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-            if (this.bitmap[ny * this.width + nx]) {
-              const distSquared = (pt.x - nx) ** 2 + (pt.y - ny) ** 2;
-              if (distSquared <= range * range) {
-                return true;
-              }
-            }
-          }
-        }
-      }
-    } else if (mode === "cone") {
-      const steps = range;
-      const angleSpread = Math.PI / 4; // 60 degrees
-
-      for (let i = 1; i <= steps; i += 0.5) {
-        debug.distance = i;
-        const currentSpread = (i / steps) * angleSpread;
-        const raysAtThisDistance = 5 + Math.floor(i * 2);
-        const angleIncrement = (currentSpread * 2) / raysAtThisDistance;
-
-        for (let r = 0; r <= raysAtThisDistance; r++) {
-          const offset = -currentSpread + r * angleIncrement;
-          const baseAngle = Math.atan2(direction.y, direction.x);
-          const a = baseAngle + offset;
-
-          const nx = Math.floor(pt.x + i * Math.cos(a));
-          const ny = Math.floor(pt.y + i * Math.sin(a));
-
-          if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-            if (this.bitmap[ny * this.width + nx]) {
-              return true;
-            }
-          }
-        }
-      }
-    }
-    return false;
+  isTooClose(
+    pt,
+    mode = "box",
+    direction = { x: 0, y: 0 },
+    debug = {},
+    range = this.stopSpacing(pt, pt)
+  ) {
+    return this.collisions.isTooClose(pt, range, mode, direction, debug);
   }
 
-  markPoint({ x, y }) {
-    x = Math.floor(x);
-    y = Math.floor(y);
-    const size = 1; // Increase the size of the marked area
-    for (let dx = -size; dx <= size; dx++) {
-      for (let dy = -size; dy <= size; dy++) {
-        const nx = x + dx;
-        const ny = y + dy;
-        if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-          this.bitmap[ny * this.width + nx] = 1;
-        }
-      }
+  markSegment(oldPoint, newPoint) {
+    this.collisions.markSegment(oldPoint, newPoint);
+  }
+
+  unmarkSegment(oldPoint, newPoint) {
+    this.collisions.unmarkSegment?.(oldPoint, newPoint);
+  }
+
+  // Sets the snake's `width` and a tapered `width` on each point of its path
+  setWidths(snake) {
+    snake.width =
+      typeof this.lineWidth == "function"
+        ? this.lineWidth(snake.point)
+        : this.lineWidth;
+
+    const { path } = snake;
+    const total = pathLength(path);
+    const taper = total * this.taper;
+    let along = 0;
+    for (let i = 0; i < path.length; i++) {
+      if (i)
+        along += Math.hypot(
+          path[i].x - path[i - 1].x,
+          path[i].y - path[i - 1].y
+        );
+      path[i].width =
+        taper > 0
+          ? snake.width * smoothstep(0, taper, Math.min(along, total - along))
+          : snake.width;
     }
   }
-  // After: Example using a Bresenham line routine
-  markSegment(oldPoint, newPoint) {
-    // A simple Bresenham line algorithm
-    // Convert to integers for Bresenham
-    let x0 = Math.floor(oldPoint.x);
-    let y0 = Math.floor(oldPoint.y);
-    const x1 = Math.floor(newPoint.x);
-    const y1 = Math.floor(newPoint.y);
-
-    const dx = Math.abs(x1 - x0);
-    const sx = x0 < x1 ? 1 : -1;
-    const dy = -Math.abs(y1 - y0);
-    const sy = y0 < y1 ? 1 : -1;
-    let err = dx + dy;
-
-    while (true) {
-      // Mark the pixel at (x0, y0).
-      if (x0 >= 0 && x0 < this.width && y0 >= 0 && y0 < this.height) {
-        this.markPoint({ x: x0, y: y0 });
-      }
 
-      // If we reached the endpoint, break
-      if (x0 === x1 && y0 === y1) break;
+  // Joins streamlines end to end, closest pairs of ends first, and returns
+  // the new list. The joined path takes the first streamline's seed and
+  // width.
+  join(snakes) {
+    const ends = [];
+    snakes.forEach((snake, s) => {
+      const { path } = snake;
+      if (path.length < 2 || snake.closed) return;
+      const last = path.length - 1;
+      ends.push(
+        streamlineEnd(s, 0, path[0], path[1]),
+        streamlineEnd(s, 1, path[last], path[last - 1])
+      );
+    });
 
-      const e2 = 2 * err;
-      if (e2 >= dy) {
-        err += dy;
-        x0 += sx;
-      }
-      if (e2 <= dx) {
-        err += dx;
-        y0 += sy;
+    // Candidate pairs, found by sweeping the ends sorted on x. Ends that
+    // face each other have opposite outward directions.
+    const minDot = Math.cos(this.joinAngle);
+    const pairs = [];
+    ends.sort((a, b) => a.x - b.x);
+    for (let i = 0; i < ends.length; i++) {
+      const a = ends[i];
+      for (let j = i + 1; j < ends.length; j++) {
+        const b = ends[j];
+        if (b.x - a.x > this.joinDistance) break;
+        if (a.s === b.s) continue;
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        if (distance > this.joinDistance) continue;
+        if (-(a.dx * b.dx + a.dy * b.dy) < minDot) continue;
+        pairs.push({ a, b, distance });
       }
     }
+    pairs.sort((p, q) => p.distance - q.distance);
+
+    // Each end joins at most one other: partners[s][side]. The chains built
+    // so far are tracked as a union-find over the snakes, keeping the length
+    // of each at its root, so that no join runs past `maxLength`.
+    const partners = snakes.map(() => [null, null]);
+    const chains = snakes.map((snake, s) => s);
+    const lengths = snakes.map(({ path }) => pathLength(path));
+    const chain = (s) => (chains[s] === s ? s : (chains[s] = chain(chains[s])));
+    for (const { a, b, distance } of pairs) {
+      if (partners[a.s][a.side] || partners[b.s][b.side]) continue;
+      const ca = chain(a.s),
+        cb = chain(b.s);
+      const length = lengths[ca] + (ca === cb ? 0 : lengths[cb]) + distance;
+      if (length > this.maxLength) continue;
+      partners[a.s][a.side] = b;
+      partners[b.s][b.side] = a;
+      chains[cb] = ca;
+      lengths[ca] = length;
+    }
+
+    // Walks each chain from a free end (or anywhere, for a closed ring)
+    const visited = new Array(snakes.length).fill(false);
+    const joined = [];
+    const walk = (s, side) => {
+      const first = snakes[s];
+      let path = [];
+      while (s !== undefined && !visited[s]) {
+        visited[s] = true;
+        const part = snakes[s].path;
+        path = path.concat(side === 0 ? part : [...part].reverse());
+        const next = partners[s][1 - side];
+        s = next?.s;
+        side = next?.side;
+      }
+      const snake = { ...first, path };
+      if (snake.path.length !== first.path.length) this.setWidths(snake);
+      joined.push(snake);
+    };
+    snakes.forEach((snake, s) => {
+      if (visited[s]) return;
+      if (!partners[s][0]) walk(s, 0);
+      else if (!partners[s][1]) walk(s, 1);
+    });
+    snakes.forEach((snake, s) => {
+      if (!visited[s]) walk(s, 0);
+    });
+    return joined;
   }
 }
+
+// One end of streamline `s`, with its outward direction
+const streamlineEnd = (s, side, end, inner) => {
+  const length = Math.hypot(end.x - inner.x, end.y - inner.y) || 1;
+  return {
+    s,
+    side,
+    x: end.x,
+    y: end.y,
+    dx: (end.x - inner.x) / length,
+    dy: (end.y - inner.y) / length,
+  };
+};
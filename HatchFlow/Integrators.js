@@ -0,0 +1,60 @@
+// Explicit Runge-Kutta integrators for following a direction field, as
+// Butcher tableaus: `a` holds the stage weights, `b` the weights of the
+// result and `e`, for embedded pairs, those of the lower order estimate used
+// to measure the error.
+export const TABLEAUS = {
+  euler: { a: [], b: [1] },
+  midpoint: { a: [[1 / 2]], b: [0, 1] },
+  rk4: {
+    a: [[1 / 2], [0, 1 / 2], [0, 0, 1]],
+    b: [1 / 6, 1 / 3, 1 / 3, 1 / 6],
+  },
+  // Runge-Kutta-Fehlberg 4(5)
+  rk45: {
+    a: [
+      [1 / 4],
+      [3 / 32, 9 / 32],
+      [1932 / 2197, -7200 / 2197, 7296 / 2197],
+      [439 / 216, -8, 3680 / 513, -845 / 4104],
+      [-8 / 27, 2, -3544 / 2565, 1859 / 4104, -11 / 40],
+    ],
+    b: [16 / 135, 0, 6656 / 12825, 28561 / 56430, -9 / 50, 2 / 55],
+    e: [25 / 216, 0, 1408 / 2565, 2197 / 4104, -1 / 5, 0],
+  },
+};
+
+// One step of size h from p through `velocity(x, y)`, which returns a unit
+// vector or null where the field is undefined. Returns the new position with
+// its `error` estimate (0 without an embedded pair), or null at a singularity:
+// an undefined stage, or stages turning more than `maxTurn` from the first.
+export function integrate(velocity, p, h, { a, b, e }, maxTurn = Math.PI) {
+  const minDot = Math.cos(maxTurn);
+  const k = [];
+  for (let s = 0; s < b.length; s++) {
+    let x = p.x,
+      y = p.y;
+    for (let j = 0; j < s; j++) {
+      x += h * a[s - 1][j] * k[j].x;
+      y += h * a[s - 1][j] * k[j].y;
+    }
+    const v = velocity(x, y);
+    if (!v || (s && v.x * k[0].x + v.y * k[0].y < minDot)) return null;
+    k.push(v);
+  }
+
+  const combine = (weights) => {
+    let x = p.x,
+      y = p.y;
+    for (let j = 0; j < weights.length; j++) {
+      x += h * weights[j] * k[j].x;
+      y += h * weights[j] * k[j].y;
+    }
+    return { x, y };
+  };
+  const next = combine(b);
+  if (e) {
+    const low = combine(e);
+    next.error = Math.hypot(next.x - low.x, next.y - low.y);
+  } else next.error = 0;
+  return next;
+}
@@ -0,0 +1,155 @@
+import { HatchFlow } from "./HatchFlow.js";
+import { PoissonDiskSampling } from "../PSD/PSD.js";
+import { regionToJSON, regionFromJSON } from "../PSD/Region.js";
+import {
+  radiusField,
+  angleField,
+  scalarField,
+  vectorField,
+} from "../Global/field.js";
+
+// A scene file records everything needed to reopen a PSD + HatchFlow run:
+//
+//   {
+//     format: "playground-scene",
+//     version: 1,
+//     seed,
+//     psd: { ...PoissonDiskSampling options, field },
+//     hatch: { ...HatchFlow options, field },
+//     points: [...],
+//     snakes: [...],
+//   }
+//
+// Fields are stored as Global/field.js definitions, since functions can't be
+// saved; per-class fields likewise go in `classes[i].field`, and a "vector"
+// HatchFlow field is { x, y } with a definition per component. The tone field
+// of cross-hatching layers goes in `hatch.tone`. A PSD region is saved as
+// { type, ...settings } (see Region.js), and saving throws for one that
+// can't be. Other options that only exist at runtime (callbacks, signals,
+// custom RNGs or indexes) are dropped on save.
+
+export const SCENE_FORMAT = "playground-scene";
+export const SCENE_VERSION = 1;
+
+// Upgrades older files one version at a time: MIGRATIONS[n] takes a version n
+// scene to version n + 1.
+const MIGRATIONS = {};
+
+const isPlain = (value) =>
+  value === null ||
+  ["number", "string", "boolean"].includes(typeof value) ||
+  Array.isArray(value) ||
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Deep copy keeping only what survives a round trip through JSON unchanged
+const plain = (value) => {
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value == "object") {
+    const copy = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v !== undefined && isPlain(v)) copy[key] = plain(v);
+    }
+    return copy;
+  }
+  return value;
+};
+
+// Regions already in their JSON form (e.g. from a loaded scene) pass through
+const saveRegion = (region) =>
+  isPlain(region) && region.type ? region : regionToJSON(region);
+
+export function saveScene({ seed, psd, hatch, points, snakes }) {
+  return JSON.stringify({
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    seed,
+    psd:
+      psd &&
+      plain(psd.region ? { ...psd, region: saveRegion(psd.region) } : psd),
+    hatch: hatch && plain(hatch),
+    points: points && plain(points),
+    snakes: snakes && plain(snakes),
+  });
+}
+
+export function parseScene(json) {
+  let scene = typeof json == "string" ? JSON.parse(json) : json;
+  if (scene?.format !== SCENE_FORMAT) throw new Error("Not a scene file");
+  if (scene.version > SCENE_VERSION)
+    throw new Error(
+      `Scene version ${scene.version} is newer than supported (${SCENE_VERSION})`
+    );
+
+  while (scene.version < SCENE_VERSION) {
+    const migrate = MIGRATIONS[scene.version];
+    if (!migrate)
+      throw new Error(`No migration from scene version ${scene.version}`);
+    scene = { ...migrate(scene), version: scene.version + 1 };
+  }
+  return scene;
+}
+
+// `resources` are passed to the field compiler for any images, SDFs or noise
+// the field definitions refer to by name.
+export function createSampler(scene, resources) {
+  const { field, classes, region, ...options } = scene.psd;
+  return new PoissonDiskSampling({
+    seed: scene.seed,
+    ...options,
+    region: region && regionFromJSON(region),
+    fieldFunction: field ? radiusField(field, resources) : undefined,
+    classes: classes?.map(({ field, ...c }) => ({
+      ...c,
+      fieldFunction: field ? radiusField(field, resources) : undefined,
+    })),
+  });
+}
+
+const HATCH_FIELDS = {
+  [HatchFlow.FIELD_TYPES.ANGLE]: angleField,
+  [HatchFlow.FIELD_TYPES.VECTOR]: vectorField,
+  [HatchFlow.FIELD_TYPES.GRADIENT]: scalarField,
+  [HatchFlow.FIELD_TYPES.ISOLINE]: scalarField,
+};
+
+export function createHatchFlow(scene, points, resources) {
+  const { field, tone, ...options } = scene.hatch;
+  const compile =
+    HATCH_FIELDS[options.fieldType ?? HatchFlow.FIELD_TYPES.ANGLE];
+  return new HatchFlow({
+    seed: scene.seed,
+    ...options,
+    points,
+    ...(field && compile && { fieldFunction: compile(field, resources) }),
+    ...(tone && { toneFunction: scalarField(tone, resources) }),
+  });
+}
+
+// Restores a scene. By default the saved points and snakes are returned as
+// they are; with `regenerate` both are generated again from the seed and
+// settings, so one parameter can be tweaked first via `overrides`.
+export function loadScene(
+  json,
+  { regenerate = false, resources, overrides = {} } = {}
+) {
+  const saved = parseScene(json);
+  const scene = {
+    ...saved,
+    ...overrides,
+    psd: saved.psd && { ...saved.psd, ...overrides.psd },
+    hatch: saved.hatch && { ...saved.hatch, ...overrides.hatch },
+  };
+
+  const psd = scene.psd && createSampler(scene, resources);
+  const points = regenerate && psd ? psd.generateSync() : scene.points;
+  const hatch =
+    scene.hatch && points && createHatchFlow(scene, points, resources);
+
+  return {
+    scene,
+    psd,
+    hatch,
+    points,
+    snakes: regenerate ? hatch?.generateSync() ?? null : scene.snakes,
+  };
+}
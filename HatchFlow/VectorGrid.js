@@ -0,0 +1,140 @@
+import { clamp, lerp } from "../Global/utils.js";
+import { LuminanceSampler } from "../Global/image.js";
+
+// A sampled vector field: `data` is a Float32Array of interleaved x, y pairs,
+// row by row, over a width × height grid. `axial` grids hold directions
+// without a sign (edge tangents, eigenvectors), so neighbouring samples are
+// turned to agree before blending rather than cancelling out.
+export class VectorGrid {
+  constructor({ width, height, data }, { axial = false } = {}) {
+    this.width = width;
+    this.height = height;
+    this.data = data;
+    this.axial = axial;
+  }
+
+  vector(x, y) {
+    x = clamp(0, this.width - 1, x);
+    y = clamp(0, this.height - 1, y);
+    const i = (y * this.width + x) * 2;
+    return { x: this.data[i], y: this.data[i + 1] };
+  }
+
+  // x, y in grid cells, blended between cell centres
+  sample(x, y) {
+    x -= 0.5;
+    y -= 0.5;
+    const x0 = Math.floor(x),
+      y0 = Math.floor(y);
+    const tx = x - x0,
+      ty = y - y0;
+    const corners = [
+      this.vector(x0, y0),
+      this.vector(x0 + 1, y0),
+      this.vector(x0, y0 + 1),
+      this.vector(x0 + 1, y0 + 1),
+    ];
+    if (this.axial) {
+      const reference = corners.find((v) => v.x || v.y);
+      for (const v of corners) {
+        if (reference && v.x * reference.x + v.y * reference.y < 0) {
+          v.x = -v.x;
+          v.y = -v.y;
+        }
+      }
+    }
+    const [a, b, c, d] = corners;
+    return {
+      x: lerp(lerp(a.x, b.x, tx), lerp(c.x, d.x, tx), ty),
+      y: lerp(lerp(a.y, b.y, tx), lerp(c.y, d.y, tx), ty),
+    };
+  }
+
+  // A HatchFlow fieldFunction (for the "vector" field type) stretching the
+  // grid over width × height
+  field(width = this.width, height = this.height) {
+    return (point) =>
+      this.sample(
+        (point.x / width) * this.width,
+        (point.y / height) * this.height
+      );
+  }
+
+  // Edge tangents of an image, from its smoothed structure tensor. Each
+  // vector runs along the edges, with a length that grows with how strongly
+  // oriented the image is there, so HatchFlow's `minMagnitude` can leave flat
+  // areas alone. `blur` is the smoothing radius in pixels.
+  static fromImageEdges(image, { blur = 2 } = {}) {
+    const sampler =
+      image instanceof LuminanceSampler ? image : new LuminanceSampler(image);
+    const { width, height } = sampler;
+    const l = (x, y) => sampler.pixel(x, y);
+
+    // Tensor components gx², gx·gy and gy², from Sobel gradients
+    const size = width * height;
+    const tensor = [
+      new Float32Array(size),
+      new Float32Array(size),
+      new Float32Array(size),
+    ];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const gx =
+          l(x + 1, y - 1) +
+          2 * l(x + 1, y) +
+          l(x + 1, y + 1) -
+          l(x - 1, y - 1) -
+          2 * l(x - 1, y) -
+          l(x - 1, y + 1);
+        const gy =
+          l(x - 1, y + 1) +
+          2 * l(x, y + 1) +
+          l(x + 1, y + 1) -
+          l(x - 1, y - 1) -
+          2 * l(x, y - 1) -
+          l(x + 1, y - 1);
+        const i = y * width + x;
+        tensor[0][i] = gx * gx;
+        tensor[1][i] = gx * gy;
+        tensor[2][i] = gy * gy;
+      }
+    }
+    for (const component of tensor) boxBlur(component, width, height, blur);
+
+    // The tangent is the minor eigenvector, at right angles to the gradient,
+    // scaled by the difference between the eigenvalues
+    const data = new Float32Array(size * 2);
+    for (let i = 0; i < size; i++) {
+      const a = tensor[0][i],
+        b = tensor[1][i],
+        c = tensor[2][i];
+      const strength = Math.sqrt((a - c) ** 2 + 4 * b * b);
+      const angle = Math.atan2(2 * b, a - c) / 2 + Math.PI / 2;
+      data[i * 2] = Math.cos(angle) * strength;
+      data[i * 2 + 1] = Math.sin(angle) * strength;
+    }
+    return new VectorGrid({ width, height, data }, { axial: true });
+  }
+}
+
+// Separable box blur, in place, with edges clamped
+const boxBlur = (values, width, height, radius) => {
+  if (radius < 1) return;
+  const pass = (count, length, index) => {
+    const line = new Float32Array(length);
+    for (let n = 0; n < count; n++) {
+      for (let i = 0; i < length; i++) line[i] = values[index(n, i)];
+      let sum = 0;
+      for (let i = -radius; i <= radius; i++)
+        sum += line[clamp(0, length - 1, i)];
+      for (let i = 0; i < length; i++) {
+        values[index(n, i)] = sum / (radius * 2 + 1);
+        sum +=
+          line[Math.min(length - 1, i + radius + 1)] -
+          line[Math.max(0, i - radius)];
+      }
+    }
+  };
+  pass(height, width, (y, x) => y * width + x);
+  pass(width, height, (x, y) => y * width + x);
+};
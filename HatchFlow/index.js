@@ -1,59 +1,60 @@
 import { HatchFlow } from "./HatchFlow.js";
+import { drawDebugEvents, generateOnClick } from "./DebugDriver.js";
 import { PoissonDiskSampling } from "../PSD/PSD.js";
 import { smoothstep, clamp, fl, lerp, rotate } from "../Global/utils.js";
-import { createNoise2D, createNoise3D } from "https://esm.sh/simplex-noise";
-import alea from "https://esm.sh/alea";
+import { radiusField, angleField } from "../Global/field.js";
+import { prng, seedFromURL } from "../Global/prng.js";
 
-const noise2D = createNoise2D();
-const prng = alea("seed");
-const noise2D2 = createNoise2D(prng);
+// Everything below is reproducible from this one seed
+const seed = seedFromURL();
+const random = prng(seed);
 
 const w = 2000,
   h = 2000;
 
-const createFieldFunction = (terms) => {
-  return function (x, y) {
-    let field = 0;
-
-    for (let i = 0; i < terms.length; i++)
-      field = terms[i].bind(this)(x, y, field, this.state);
-
-    field += Math.cos((x + y) * 0.005 + this.state);
-
-    const val = clamp(0, 1, smoothstep(-2, 2, field - 0.2));
-    return this.minRadius + val * (this.maxRadius - this.minRadius);
-  };
-};
-
 async function main() {
-  const terms = [
-    (() =>
-      function (x, y, field) {
-        return (
-          field +
-          noise2D(x * 0.003, y * 0.003) * 0.5 +
-          Math.cos(
-            Math.hypot(x - this.width / 2, y - this.height / 2) * 0.01 +
-              this.state
-          )
-        );
-      })(),
-    (() => {
-      const s = Math.random() * 0.01;
-      return function (x, y, field) {
-        return field + Math.cos((x + y) * s + this.state);
-      };
-    })(),
-  ];
+  const radius = {
+    type: "remap",
+    smooth: true,
+    from: [-1.8, 2.2],
+    of: {
+      type: "add",
+      terms: [
+        {
+          type: "noise",
+          kind: "simplex",
+          seed,
+          frequency: 0.003,
+          amplitude: 0.5,
+        },
+        {
+          type: "wave",
+          of: { type: "radial", center: [w / 2, h / 2] },
+          frequency: 0.01,
+        },
+        {
+          type: "wave",
+          of: { type: "linear", direction: [1, 1] },
+          frequency: random() * 0.01,
+        },
+        {
+          type: "wave",
+          of: { type: "linear", direction: [1, 1] },
+          frequency: 0.005,
+        },
+      ],
+    },
+  };
   const pds = new PoissonDiskSampling({
     width: w,
     height: h,
     minRadius: 5,
     maxRadius: 100,
     strategy: 0,
+    seed,
     drift: 0,
     pointsPerFrame: 2000,
-    fieldFunction: createFieldFunction(terms),
+    fieldFunction: radiusField(radius),
   });
 
   let c = document.createElement("canvas");
@@ -67,9 +68,6 @@ async function main() {
   let ctx = c.getContext("2d");
   let ctx2 = c2.getContext("2d");
   c2.className = "debug";
-  c2.id = "debugCanvas";
-  c2.cx = ctx2;
-  console.log(ctx === ctx2);
   const draw = (points) => {
     for (let i = 0; i < points.length; i++) {
       const p = points[i];
@@ -87,16 +85,33 @@ async function main() {
     width: w,
     height: h,
     points,
-    fieldFunction: function (point) {
-      if (point.radius < 7) {
-        return (
-          Math.atan2(point.y - h / 2, point.x - w / 2) +
-          noise2D2(point.x * 0.0005, point.y * 0.0005) +
-          Math.PI * 0.5
-        );
-      }
-      return noise2D(point.x * 0.001, point.y * 0.001) * Math.PI * 2;
-    },
+    minLength: 10,
+    debug: drawDebugEvents(ctx2),
+    fieldFunction: angleField({
+      type: "select",
+      of: { type: "attribute", name: "radius" },
+      threshold: 7,
+      below: {
+        type: "add",
+        terms: [
+          { type: "angle", center: [w / 2, h / 2] },
+          {
+            type: "noise",
+            kind: "simplex",
+            seed: seed + 1,
+            frequency: 0.0005,
+          },
+          Math.PI * 0.5,
+        ],
+      },
+      above: {
+        type: "noise",
+        kind: "simplex",
+        seed,
+        frequency: 0.001,
+        amplitude: Math.PI * 2,
+      },
+    }),
   });
   ctx.clearRect(0, 0, w, h);
   ctx.lineWidth = 2;
@@ -115,7 +130,7 @@ async function main() {
       ctx.stroke();
     }
   };
-  const allsnakes = await snakes.generate(drawSnakes);
+  const allsnakes = await generateOnClick(snakes, drawSnakes);
   ctx2.clearRect(0, 0, w, h);
 }
 
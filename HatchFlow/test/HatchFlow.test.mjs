@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { HatchFlow } from "../HatchFlow.js";
+import { PoissonDiskSampling } from "../../PSD/PSD.js";
+
+const width = 150,
+  height = 100;
+const points = new PoissonDiskSampling({
+  width,
+  height,
+  minRadius: 6,
+  maxRadius: 6,
+  seed: 1,
+}).generateSync();
+
+const hatchFlow = (options) =>
+  new HatchFlow({
+    width,
+    height,
+    points,
+    proximityThreshold: 4,
+    segmentLength: 60,
+    fieldFunction: (point) => Math.sin(point.x / 30) + point.y / 80,
+    seed: 5,
+    ...options,
+  });
+
+test("the same seed gives the same streamlines", () => {
+  const a = hatchFlow().generateSync();
+  assert.ok(a.length > 10);
+  assert.deepEqual(hatchFlow().generateSync(), a);
+  assert.notDeepEqual(hatchFlow({ seed: 6 }).generateSync(), a);
+});
+
+test("steps() yields each streamline generateSync() grows", () => {
+  const expected = hatchFlow().generateSync();
+  const steps = hatchFlow().steps();
+  const snakes = [];
+  let result;
+  while (!(result = steps.next()).done) snakes.push(result.value);
+  assert.deepEqual(snakes, expected);
+  assert.deepEqual(result.value, expected);
+});
+
+test("step(n) grows the same streamlines n at a time", () => {
+  const expected = hatchFlow().generateSync();
+  const generator = hatchFlow();
+  const snakes = [];
+  let batch;
+  do {
+    batch = generator.step(4);
+    assert.ok(batch.length <= 4);
+    snakes.push(...batch);
+  } while (batch.length === 4);
+  assert.equal(generator.running, false);
+  assert.deepEqual(snakes, expected);
+  assert.deepEqual(generator.snakes, expected);
+});
@@ -0,0 +1,133 @@
+import { Rectangle } from "./Rectangle.js";
+
+// Spatial indexes sharing the Quadtree's interface: insert(point),
+// query(range), queryCircle(x, y, r) and clear().
+
+// A flat background grid of buckets over [0, width] × [0, height], as in
+// Bridson's algorithm. With a cell size of r / √2 each cell holds at most one
+// point of a uniform-radius set.
+export class Grid {
+  constructor(width, height, cellSize) {
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.boundary = Rectangle.fromCorners(0, 0, width, height);
+    this.clear();
+  }
+
+  clear() {
+    this.cells = new Array(this.cols * this.rows);
+  }
+
+  col(x) {
+    return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+  }
+
+  row(y) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+  }
+
+  insert(point) {
+    if (!this.boundary.contains(point)) return false;
+
+    const i = this.row(point.y) * this.cols + this.col(point.x);
+    if (this.cells[i]) this.cells[i].push(point);
+    else this.cells[i] = [point];
+    return true;
+  }
+
+  // Calls fn for every point in the cells overlapping the given box
+  forEachInBox(x0, y0, x1, y1, fn) {
+    const c0 = this.col(x0),
+      c1 = this.col(x1),
+      r0 = this.row(y0),
+      r1 = this.row(y1);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const cell = this.cells[r * this.cols + c];
+        if (cell) for (const p of cell) fn(p);
+      }
+    }
+  }
+
+  query(range, found = []) {
+    if (!this.boundary.intersects(range)) return found;
+
+    this.forEachInBox(
+      range.x - range.w,
+      range.y - range.h,
+      range.x + range.w,
+      range.y + range.h,
+      (p) => {
+        if (range.contains(p)) found.push(p);
+      }
+    );
+    return found;
+  }
+
+  // Hot path of the sampler, so the cell walk is inlined here
+  queryCircle(x, y, r, found = []) {
+    if (!this.boundary.intersectsCircle(x, y, r)) return found;
+
+    const r2 = r * r;
+    const c0 = this.col(x - r),
+      c1 = this.col(x + r),
+      r0 = this.row(y - r),
+      r1 = this.row(y + r);
+    for (let row = r0; row <= r1; row++) {
+      for (let c = c0; c <= c1; c++) {
+        const cell = this.cells[row * this.cols + c];
+        if (!cell) continue;
+        for (let i = 0; i < cell.length; i++) {
+          const p = cell[i];
+          const dx = p.x - x,
+            dy = p.y - y;
+          if (dx * dx + dy * dy <= r2) found.push(p);
+        }
+      }
+    }
+    return found;
+  }
+}
+
+// A stack of grids whose cell sizes double from `minCellSize` up to at least
+// `maxCellSize`. Every point goes into every level and each query is answered
+// by the finest level whose cells are at least as large as the query radius,
+// so it only ever scans a few cells, whether in dense or sparse areas.
+export class MultiGrid {
+  constructor(width, height, minCellSize, maxCellSize) {
+    this.levels = [];
+    let cellSize = minCellSize;
+    do {
+      this.levels.push(new Grid(width, height, cellSize));
+      cellSize *= 2;
+    } while (cellSize / 2 < maxCellSize);
+    this.boundary = this.levels[0].boundary;
+  }
+
+  clear() {
+    for (const level of this.levels) level.clear();
+  }
+
+  levelFor(size) {
+    for (const level of this.levels) if (level.cellSize >= size) return level;
+    return this.levels[this.levels.length - 1];
+  }
+
+  insert(point) {
+    if (!this.boundary.contains(point)) return false;
+
+    for (const level of this.levels) level.insert(point);
+    return true;
+  }
+
+  query(range, found = []) {
+    return this.levelFor(Math.max(range.w, range.h)).query(range, found);
+  }
+
+  queryCircle(x, y, r, found = []) {
+    return this.levelFor(r).queryCircle(x, y, r, found);
+  }
+}
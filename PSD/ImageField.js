@@ -0,0 +1,39 @@
+import { LuminanceSampler } from "../Global/image.js";
+import { clamp } from "../Global/utils.js";
+
+// Builds a fieldFunction that maps an image's luminance to radius, stretching
+// the image over the sampler's domain: dark areas get minRadius (dense
+// stipple) and light areas maxRadius, or the reverse with `invert`. Anything
+// not passed in options is read from the PoissonDiskSampling it is bound to.
+export const createImageField = (
+  image,
+  {
+    minRadius,
+    maxRadius,
+    width,
+    height,
+    gamma = 1,
+    invert = false,
+    bilinear = true,
+  } = {}
+) => {
+  const sampler =
+    image instanceof LuminanceSampler ? image : new LuminanceSampler(image);
+
+  return function (x, y) {
+    const w = width ?? this.width;
+    const h = height ?? this.height;
+    const min = minRadius ?? this.minRadius;
+    const max = maxRadius ?? this.maxRadius;
+
+    let l = sampler.sample(
+      (x / w) * sampler.width,
+      (y / h) * sampler.height,
+      bilinear
+    );
+    l = Math.pow(clamp(0, 1, l), gamma);
+    if (invert) l = 1 - l;
+
+    return min + l * (max - min);
+  };
+};
@@ -1,8 +1,28 @@
 import { Rectangle } from "./Rectangle.js";
 import { Quadtree } from "./Quadtree.js";
+import { Grid, MultiGrid } from "./Grid.js";
 import { smoothstep, clamp, fl, lerp, rotate } from "../Global/utils.js";
+import { createRandom } from "../Global/prng.js";
 
 export class PoissonDiskSampling {
+  // How the spacing between a candidate and an existing neighbour is derived
+  // from their two radii.
+  static RADIUS_POLICIES = Object.freeze({
+    CANDIDATE: "candidate",
+    MAX: "max",
+    MEAN: "mean",
+    MIN: "min",
+  });
+
+  // Spatial index used for neighbour queries. The grid (Bridson's background
+  // grid) suits uniform or near-uniform radii, the multi-level grid variable
+  // radii. An object with insert(point) and queryCircle(x, y, r) works too.
+  static SPATIAL_INDEXES = Object.freeze({
+    QUADTREE: "quadtree",
+    GRID: "grid",
+    MULTIGRID: "multigrid",
+  });
+
   constructor({
     width,
     height,
@@ -13,6 +33,19 @@ export class PoissonDiskSampling {
     drift = 0.01,
     fieldFunction,
     pointsPerFrame = 500,
+    radiusPolicy = PoissonDiskSampling.RADIUS_POLICIES.CANDIDATE,
+    region,
+    spatialIndex = PoissonDiskSampling.SPATIAL_INDEXES.QUADTREE,
+    wrap = false,
+    initialPoints = [],
+    fixedPoints = [],
+    keepOut = [],
+    classes,
+    classDistances,
+    seed,
+    random,
+    signal,
+    onProgress,
   }) {
     this.width = width;
     this.height = height;
@@ -22,18 +55,91 @@ export class PoissonDiskSampling {
     this.strategy = strategy;
     this.drift = drift;
     this.pointsPerFrame = pointsPerFrame;
+    this.radiusPolicy = Object.values(
+      PoissonDiskSampling.RADIUS_POLICIES
+    ).includes(radiusPolicy)
+      ? radiusPolicy
+      : PoissonDiskSampling.RADIUS_POLICIES.CANDIDATE;
+    // Every random draw goes through this.random so that a given seed (or
+    // injected RNG) reproduces exactly the same point set.
+    this.seed = seed;
+    this.random = createRandom({ seed, random });
     if (typeof fieldFunction == "function")
       this.fieldFunction = fieldFunction.bind(this);
+    // Multi-class sampling: each class ({ fieldFunction, minRadius,
+    // maxRadius }, all optional) keeps its own spacing, and classDistances
+    // (a number, or a matrix indexed by class) sets the minimum distance
+    // between points of different classes. Points are tagged with `class`.
+    if (classes) {
+      this.classes = classes.map((options) => {
+        // Inherits the sampler's state, overriding the radii where given
+        const context = Object.create(this);
+        for (const key of ["minRadius", "maxRadius"])
+          if (options[key] !== undefined) context[key] = options[key];
+        const field = options.fieldFunction ?? fieldFunction;
+        context.fieldFunction =
+          typeof field == "function" ? field.bind(context) : undefined;
+        return { ...options, context };
+      });
+      this.classDistances = classDistances;
+      this.classReach = this.classes.map((_, a) =>
+        Math.max(
+          0,
+          ...this.classes.map((_, b) =>
+            a === b ? 0 : this.classDistance(a, b) ?? 0
+          )
+        )
+      );
+    }
+    // Anything with a contains(point) method (see Region.js), or a predicate
+    if (typeof region == "function") region = { contains: region };
+    this.region = region;
+    // Treat the domain as a torus so that the point set tiles seamlessly
+    this.wrap = wrap;
+    this.signal = signal;
+    if (typeof onProgress == "function") this.onProgress = onProgress;
     this.cellSize = minRadius / Math.sqrt(2);
-    this.quadtree = new Quadtree(
-      new Rectangle(width / 2, height / 2, width / 2, height / 2),
-      4
-    );
+    this.index = this.createIndex(spatialIndex);
     this.activeList = [];
     this.points = [];
     this.tries = 0;
     this.state = 0;
+    this.coveredArea = 0;
+    this.largestRadius = 0;
+    this.keepOutRadius = 0;
+    this.started = false;
     this.running = false;
+    this.paused = false;
+    this.cancelled = false;
+
+    // Existing points: fixed ones are part of the output but never grow,
+    // initial ones grow like the random seed point would, and keep-out ones
+    // only block. Without initial points generation starts from a random one.
+    for (const point of fixedPoints) this.addPoint(point, { active: false });
+    for (const point of keepOut) this.addPoint(point, { keepOut: true });
+    for (const point of initialPoints) this.addPoint(point);
+  }
+  createIndex(spatialIndex) {
+    const { QUADTREE, GRID, MULTIGRID } = PoissonDiskSampling.SPATIAL_INDEXES;
+    switch (spatialIndex) {
+      case QUADTREE:
+        return new Quadtree(
+          Rectangle.fromCorners(0, 0, this.width, this.height),
+          4
+        );
+      case GRID:
+        return new Grid(this.width, this.height, this.cellSize);
+      case MULTIGRID:
+        return new MultiGrid(
+          this.width,
+          this.height,
+          this.minRadius,
+          this.maxRadius
+        );
+      default:
+        if (typeof spatialIndex?.queryCircle == "function") return spatialIndex;
+        throw new Error(`Unknown spatial index "${spatialIndex}"`);
+    }
   }
   get activeIndex() {
     switch (this.strategy) {
@@ -42,99 +148,315 @@ export class PoissonDiskSampling {
       case 1:
         return this.activeList.length - 1;
       case 2:
-        return Math.floor(Math.random() * this.activeList.length);
+        return Math.floor(this.random() * this.activeList.length);
+    }
+  }
+  // Places a point, using its own radius if it has one. Keep-out points block
+  // candidates within their radius but are neither output nor grown.
+  addPoint(point, { active = true, keepOut = false } = {}) {
+    const radius =
+      point.radius ?? this.getRadiusFromField(point.x, point.y, point.class);
+    const placed = { x: point.x, y: point.y, radius };
+    if (point.class !== undefined) placed.class = point.class;
+    if (keepOut) placed.keepOut = true;
+    if (!this.index.insert(placed)) return null;
+
+    if (keepOut) {
+      this.keepOutRadius = Math.max(this.keepOutRadius, radius);
+      return placed;
+    }
+
+    this.points.push({ ...point, radius });
+    this.coveredArea += Math.PI * (radius / 2) ** 2;
+    this.largestRadius = Math.max(this.largestRadius, radius);
+    if (active) this.activeList.push(placed);
+    return placed;
+  }
+  // One random starting point, or one per class
+  addInitialPoints() {
+    if (!this.classes) return this.addInitialPoint();
+    this.classes.forEach((_, cls) => this.addInitialPoint(cls));
+  }
+  addInitialPoint(cls, maxAttempts = 10000) {
+    for (let i = 0; i < maxAttempts; i++) {
+      const point = this.randomPoint();
+      if (cls !== undefined) point.class = cls;
+      if (this.isValid(point)) return this.addPoint(point);
+    }
+    return null;
+  }
+  // Processes up to `count` active points and returns the points placed.
+  step(count = this.pointsPerFrame) {
+    let newPoints = [];
+
+    for (let n = 0; n < count; n++) {
+      if (this.activeList.length === 0) break;
+
+      const activeIndex = this.activeIndex;
+      const activePoint = this.activeList[activeIndex];
+      let found = false;
+
+      for (let i = 0; i < this.k; i++) {
+        this.tries++;
+        const newPoint = this.randomPointAround(activePoint);
+        if (activePoint.class !== undefined) newPoint.class = activePoint.class;
+        if (this.isValid(newPoint)) {
+          const placed = this.addPoint(newPoint);
+
+          if (placed) {
+            newPoints.push(placed);
+            found = true;
+            this.state += this.drift;
+          }
+          break;
+        }
+      }
+
+      if (!found) {
+        this.activeList.splice(activeIndex, 1);
+      }
     }
+
+    return newPoints;
+  }
+  get aborted() {
+    return this.cancelled || !!this.signal?.aborted;
+  }
+  // Rough fill estimate: the area of the disks of radius r/2 (which never
+  // overlap) against the density a maximal Poisson disk set reaches.
+  get coverage() {
+    if (this.started && this.activeList.length === 0) return 1;
+    const maximalDensity = 0.55;
+    const area = this.region?.area ?? this.width * this.height;
+    return clamp(0, 1, this.coveredArea / (area * maximalDensity));
+  }
+  get progress() {
+    return {
+      active: this.activeList.length,
+      points: this.points.length,
+      tries: this.tries,
+      coverage: this.coverage,
+      done: this.started && this.activeList.length === 0,
+    };
+  }
+  pause() {
+    this.paused = true;
+  }
+  resume() {
+    this.paused = false;
+    if (this.wake) this.wake();
+  }
+  // Stops generation; the pending generate() resolves with the points placed
+  // so far. Generation can be picked up again by calling generate() anew.
+  cancel() {
+    this.cancelled = true;
+    this.running = false;
+    if (this.wake) this.wake();
+  }
+  // Yields each batch of new points until the active list is exhausted or
+  // generation is cancelled. Returns the full point set.
+  steps() {
+    // Reset now rather than in the generator, whose body only runs on the
+    // first next(), so that a cancel() straight after generate() holds
+    this.cancelled = false;
+    this.running = true;
+    return this.iterate();
+  }
+  *iterate() {
+    if (!this.started) {
+      this.started = true;
+      if (this.activeList.length === 0) this.addInitialPoints();
+    }
+
+    while (this.running && !this.aborted && this.activeList.length > 0) {
+      const newPoints = this.step(this.pointsPerFrame);
+      if (this.onProgress) this.onProgress(this.progress);
+      yield newPoints;
+    }
+    this.running = false;
+
+    return this.points;
+  }
+  generateSync() {
+    const steps = this.steps();
+    while (!steps.next().done);
+    return this.points;
   }
   async generate(draw) {
-    let initialPoint = this.randomPoint();
-    let initialRadius = this.getRadiusFromField(initialPoint.x, initialPoint.y);
-    this.points.push({ ...initialPoint, radius: initialRadius });
-    initialPoint.radius = initialRadius;
-    this.activeList.push(initialPoint);
-    this.quadtree.insert(initialPoint);
+    const steps = this.steps();
+    // Fall back to timers where there is no requestAnimationFrame (Node etc.)
+    const nextFrame =
+      typeof requestAnimationFrame == "function"
+        ? requestAnimationFrame
+        : (cb) => setTimeout(cb, 0);
 
     return new Promise((resolve) => {
-      this.running = true;
+      const finish = () => {
+        this.wake = null;
+        if (this.signal) this.signal.removeEventListener("abort", onAbort);
+        resolve(this.points); // Resolve when done
+      };
       const generatePoints = () => {
-        let newPoints = [];
-        if (!this.running || this.activeList.length === 0) {
-          this.running = false;
-          resolve(this.points); // Resolve when done
+        // While paused, park the loop until resume() or cancel() wakes it
+        if (this.paused && !this.aborted) {
+          this.wake = () => {
+            this.wake = null;
+            nextFrame(generatePoints);
+          };
           return;
         }
 
-        // Generate up to 100 points per frame
-        for (let count = 0; count < this.pointsPerFrame; count++) {
-          if (this.activeList.length === 0) break;
-
-          const activeIndex = this.activeIndex;
-          const activePoint = this.activeList[activeIndex];
-          let found = false;
-
-          for (let i = 0; i < this.k; i++) {
-            this.tries++;
-            const newPoint = this.randomPointAround(activePoint);
-            if (this.isValid(newPoint)) {
-              const newRadius = this.getRadiusFromField(newPoint.x, newPoint.y);
-              newPoint.radius = newRadius;
-              const pushed = this.quadtree.insert(newPoint);
-
-              if (pushed) {
-                this.points.push({ ...newPoint, radius: newRadius });
-                newPoints.push(newPoint);
-                this.activeList.push(newPoint);
-                found = true;
-                this.state += this.drift;
-              }
-              break;
-            }
-          }
+        const { value, done } = steps.next();
+        if (done) return finish();
 
-          if (!found) {
-            this.activeList.splice(activeIndex, 1);
-          }
-        }
+        if (draw) draw(value);
 
-        draw(newPoints);
-
-        // Use requestAnimationFrame to schedule the next batch
-        requestAnimationFrame(generatePoints);
+        nextFrame(generatePoints);
+      };
+      const onAbort = () => {
+        if (this.wake) this.wake();
       };
+      if (this.signal) this.signal.addEventListener("abort", onAbort);
 
-      // Start generating points using RAF
-      requestAnimationFrame(generatePoints);
+      nextFrame(generatePoints);
     });
   }
-  randomPoint() {
-    return { x: Math.random() * this.width, y: Math.random() * this.height };
+  contains(point) {
+    if (
+      point.x < 0 ||
+      point.x > this.width ||
+      point.y < 0 ||
+      point.y > this.height
+    )
+      return false;
+    return !this.region || this.region.contains(point);
+  }
+  // A random point inside the domain (and region, if there is one)
+  randomPoint(maxAttempts = 10000) {
+    const bounds = this.region?.bounds ?? {
+      x: 0,
+      y: 0,
+      width: this.width,
+      height: this.height,
+    };
+    for (let i = 0; i < maxAttempts; i++) {
+      const point = {
+        x: bounds.x + this.random() * bounds.width,
+        y: bounds.y + this.random() * bounds.height,
+      };
+      if (this.contains(point)) return point;
+    }
+    throw new Error("Could not find a point inside the sampling region");
   }
   randomPointAround(point) {
-    const r1 = Math.random();
-    const r2 = Math.random();
+    const r1 = this.random();
+    const r2 = this.random();
     const radius = point.radius;
     // const radius = this.getRadiusFromField(point.x, point.y);
     const newRadius = radius * (r1 + 1);
     const angle = 2 * Math.PI * r2;
-    return {
-      x: point.x + newRadius * Math.cos(angle),
-      y: point.y + newRadius * Math.sin(angle),
-    };
+    const x = point.x + newRadius * Math.cos(angle);
+    const y = point.y + newRadius * Math.sin(angle);
+    if (this.wrap) return { x: this.wrapX(x), y: this.wrapY(y) };
+    return { x, y };
+  }
+  wrapX(x) {
+    return ((x % this.width) + this.width) % this.width;
+  }
+  wrapY(y) {
+    return ((y % this.height) + this.height) % this.height;
+  }
+  // Points of `index` within r of (x, y), including, when wrapping, those
+  // reached across the edges of the domain.
+  neighbors(x, y, r, index = this.index) {
+    if (!this.wrap) return index.queryCircle(x, y, r);
+
+    const xs = [x],
+      ys = [y];
+    if (x - r < 0) xs.push(x + this.width);
+    if (x + r > this.width) xs.push(x - this.width);
+    if (y - r < 0) ys.push(y + this.height);
+    if (y + r > this.height) ys.push(y - this.height);
+
+    const found = [];
+    for (const qx of xs)
+      for (const qy of ys) index.queryCircle(qx, qy, r, found);
+    // A radius over half the domain can reach the same point more than once
+    return xs.length * ys.length > 1 ? [...new Set(found)] : found;
+  }
+  // Copies of the point set offset by whole domains, for repeatX × repeatY
+  // tiles. Only seamless when generated with `wrap`.
+  tile(repeatX = 2, repeatY = repeatX, points = this.points) {
+    const tiled = [];
+    for (let j = 0; j < repeatY; j++) {
+      for (let i = 0; i < repeatX; i++) {
+        for (const p of points) {
+          tiled.push({
+            ...p,
+            x: p.x + i * this.width,
+            y: p.y + j * this.height,
+          });
+        }
+      }
+    }
+    return tiled;
+  }
+  // The minimum distance allowed between a candidate and a neighbour placed
+  // before it, according to the radius policy.
+  requiredDistance(radius, neighborRadius) {
+    switch (this.radiusPolicy) {
+      case PoissonDiskSampling.RADIUS_POLICIES.MAX:
+        return Math.max(radius, neighborRadius);
+      case PoissonDiskSampling.RADIUS_POLICIES.MEAN:
+        return (radius + neighborRadius) / 2;
+      case PoissonDiskSampling.RADIUS_POLICIES.MIN:
+        return Math.min(radius, neighborRadius);
+      default:
+        return radius;
+    }
+  }
+  // Minimum distance between points of two different classes, if set
+  classDistance(a, b) {
+    if (typeof this.classDistances == "number") return this.classDistances;
+    return this.classDistances?.[a]?.[b];
+  }
+  // The minimum distance between a candidate and a placed neighbour, taking
+  // classes and keep-out points into account. Class distances only apply
+  // between two classed points, so unclassed fixed points keep their radius.
+  minimumDistance(radius, cls, neighbor) {
+    let minDist;
+    if (
+      cls !== undefined &&
+      neighbor.class !== undefined &&
+      cls !== neighbor.class
+    )
+      minDist = this.classDistance(cls, neighbor.class);
+    minDist ??= this.requiredDistance(radius, neighbor.radius);
+    if (neighbor.keepOut) minDist = Math.max(minDist, neighbor.radius);
+    return minDist;
+  }
+  // The furthest a neighbour can be and still constrain a candidate of the
+  // given radius (and class), used to size the neighbour query.
+  queryReach(radius, cls, largestRadius = this.largestRadius) {
+    let reach = Math.max(radius, this.keepOutRadius);
+    switch (this.radiusPolicy) {
+      case PoissonDiskSampling.RADIUS_POLICIES.MAX:
+      case PoissonDiskSampling.RADIUS_POLICIES.MEAN:
+        reach = Math.max(reach, this.requiredDistance(radius, largestRadius));
+    }
+    if (this.classReach && cls !== undefined)
+      reach = Math.max(reach, this.classReach[cls]);
+    return reach;
   }
   isValid(point) {
-    const radius = this.getRadiusFromField(point.x, point.y);
-    // const range = new Rectangle(point.x, point.y, radius, radius);
-    const range = new Rectangle(
-      point.x - radius,
-      point.y - radius,
-      radius * 2,
-      radius * 2
-    );
-    const neighbors = this.quadtree.query(range);
+    if (!this.contains(point)) return false;
+
+    const radius = this.getRadiusFromField(point.x, point.y, point.class);
+    const reach = this.queryReach(radius, point.class);
+    const neighbors = this.neighbors(point.x, point.y, reach);
 
     for (let neighbor of neighbors) {
-      // const neighborRadius = this.getRadiusFromField(neighbor.x, neighbor.y);
-      const minDist = radius;
-      // const minDist = (radius+neighbor.radius)/2;
+      const minDist = this.minimumDistance(radius, point.class, neighbor);
       if (this.distance(point, neighbor) < minDist) {
         return false;
       }
@@ -142,12 +464,60 @@ export class PoissonDiskSampling {
 
     return true;
   }
+  // Reports every pair of points closer than the radius policy allows. Points
+  // are assumed to be in placement order, as in `this.points`.
+  findViolations(points = this.points, tolerance = 1e-9) {
+    let largestRadius = 0;
+    for (const p of points) largestRadius = Math.max(largestRadius, p.radius);
+
+    const index = new Quadtree(
+      Rectangle.fromCorners(0, 0, this.width, this.height),
+      4
+    );
+    const violations = [];
+
+    points.forEach((point, i) => {
+      const reach = this.queryReach(point.radius, point.class, largestRadius);
+      for (const neighbor of this.neighbors(point.x, point.y, reach, index)) {
+        const required = this.minimumDistance(
+          point.radius,
+          point.class,
+          neighbor
+        );
+        const distance = this.distance(point, neighbor);
+        if (distance < required - tolerance) {
+          violations.push({
+            a: neighbor.index,
+            b: i,
+            distance,
+            required,
+          });
+        }
+      }
+
+      index.insert({
+        x: point.x,
+        y: point.y,
+        radius: point.radius,
+        class: point.class,
+        index: i,
+      });
+    });
+
+    return violations;
+  }
   distance(p1, p2) {
-    const dx = p1.x - p2.x;
-    const dy = p1.y - p2.y;
+    let dx = Math.abs(p1.x - p2.x);
+    let dy = Math.abs(p1.y - p2.y);
+    if (this.wrap) {
+      dx = Math.min(dx, this.width - dx);
+      dy = Math.min(dy, this.height - dy);
+    }
     return Math.sqrt(dx * dx + dy * dy);
   }
-  getRadiusFromField(x, y) {
+  getRadiusFromField(x, y, cls) {
+    const context = this.classes?.[cls]?.context;
+    if (context) return context.getRadiusFromField(x, y);
     if (this.fieldFunction) return this.fieldFunction(x, y);
     const field = (x - this.width / 2 + y - this.height / 2) * 0.0025;
     const val = clamp(0, 1, smoothstep(-3, 5, field));
@@ -56,7 +56,8 @@ export class Quadtree {
       return false;
     }
 
-    if (this.points.length < this.capacity) {
+    // At maxDepth leaves grow past capacity rather than dropping points
+    if (this.points.length < this.capacity || this.depth >= this.maxDepth) {
       this.points.push(point);
       return true;
     } else {
@@ -72,9 +73,12 @@ export class Quadtree {
       ) {
         return true;
       }
-    }
 
-    return false;
+      // Rounding in the child boundaries can leave a sliver along the shared
+      // edges; keep such points here rather than losing them.
+      this.points.push(point);
+      return true;
+    }
   }
 
   query(range, found = []) {
@@ -97,4 +101,136 @@ export class Quadtree {
 
     return found;
   }
+
+  queryCircle(x, y, r, found = []) {
+    if (!this.boundary.intersectsCircle(x, y, r)) return found;
+
+    const r2 = r * r;
+    for (let p of this.points) {
+      if ((p.x - x) ** 2 + (p.y - y) ** 2 <= r2) {
+        found.push(p);
+      }
+    }
+
+    if (this.divided) {
+      this.northwest.queryCircle(x, y, r, found);
+      this.northeast.queryCircle(x, y, r, found);
+      this.southwest.queryCircle(x, y, r, found);
+      this.southeast.queryCircle(x, y, r, found);
+    }
+
+    return found;
+  }
+
+  // The k points closest to (x, y), nearest first
+  nearest(x, y, k = 1, maxDistance = Infinity) {
+    const best = []; // [{ point, d2 }] sorted by d2
+    let limit = maxDistance * maxDistance;
+
+    const visit = (node) => {
+      if (node.boundary.distanceSquaredTo(x, y) > limit) return;
+
+      for (let p of node.points) {
+        const d2 = (p.x - x) ** 2 + (p.y - y) ** 2;
+        if (d2 > limit) continue;
+        let i = best.length;
+        while (i > 0 && best[i - 1].d2 > d2) i--;
+        best.splice(i, 0, { point: p, d2 });
+        if (best.length > k) best.pop();
+        if (best.length === k) limit = best[k - 1].d2;
+      }
+
+      if (node.divided) {
+        // Visit the closest children first so the limit shrinks sooner
+        [node.northwest, node.northeast, node.southwest, node.southeast]
+          .map((child) => ({
+            child,
+            d2: child.boundary.distanceSquaredTo(x, y),
+          }))
+          .sort((a, b) => a.d2 - b.d2)
+          .forEach(({ child }) => visit(child));
+      }
+    };
+    visit(this);
+
+    return best.map(({ point }) => point);
+  }
+
+  // Removes a point by identity. Returns whether it was found.
+  remove(point) {
+    return this.removeAt(point, point);
+  }
+
+  // Removes `point` given where it is stored (`at`, or anywhere when null).
+  removeAt(point, at) {
+    if (at && !this.boundary.contains(at)) return false;
+
+    const i = this.points.indexOf(point);
+    if (i !== -1) {
+      this.points.splice(i, 1);
+      this.collapse();
+      return true;
+    }
+
+    if (
+      this.divided &&
+      (this.northwest.removeAt(point, at) ||
+        this.northeast.removeAt(point, at) ||
+        this.southwest.removeAt(point, at) ||
+        this.southeast.removeAt(point, at))
+    ) {
+      this.collapse();
+      return true;
+    }
+
+    return false;
+  }
+
+  // Moves a point to (x, y). Without coordinates the point is assumed to have
+  // been moved already, which means searching the whole tree for it.
+  update(point, x, y) {
+    const moving = x !== undefined && y !== undefined;
+    if (!this.removeAt(point, moving ? point : null)) return false;
+    if (moving) {
+      point.x = x;
+      point.y = y;
+    }
+    return this.insert(point);
+  }
+
+  get size() {
+    let size = this.points.length;
+    if (this.divided) {
+      size +=
+        this.northwest.size +
+        this.northeast.size +
+        this.southwest.size +
+        this.southeast.size;
+    }
+    return size;
+  }
+
+  // Pulls the children's points back up once they fit in this node
+  collapse() {
+    if (!this.divided) return;
+
+    const children = [
+      this.northwest,
+      this.northeast,
+      this.southwest,
+      this.southeast,
+    ];
+    if (children.some((child) => child.divided)) return;
+    if (this.size > this.capacity) return;
+
+    for (const child of children) this.points.push(...child.points);
+    this.northwest = this.northeast = this.southwest = this.southeast = null;
+    this.divided = false;
+  }
+
+  clear() {
+    this.points = [];
+    this.northwest = this.northeast = this.southwest = this.southeast = null;
+    this.divided = false;
+  }
 }
@@ -1,4 +1,17 @@
+// An axis-aligned rectangle stored as a centre (x, y) and half-extents (w, h),
+// so it spans x - w to x + w and y - h to y + h, edges included. Prefer the
+// named constructors below to avoid mixing this up with corner/size forms.
 export class Rectangle {
+  static fromCenter(x, y, halfWidth, halfHeight) {
+    return new Rectangle(x, y, halfWidth, halfHeight);
+  }
+
+  static fromCorners(x0, y0, x1, y1) {
+    const w = Math.abs(x1 - x0) / 2;
+    const h = Math.abs(y1 - y0) / 2;
+    return new Rectangle(Math.min(x0, x1) + w, Math.min(y0, y1) + h, w, h);
+  }
+
   constructor(x, y, w, h) {
     this.x = x;
     this.y = y;
@@ -15,6 +28,17 @@ export class Rectangle {
     );
   }
 
+  // Squared distance from (x, y) to the closest point of the rectangle
+  distanceSquaredTo(x, y) {
+    const dx = Math.max(Math.abs(x - this.x) - this.w, 0);
+    const dy = Math.max(Math.abs(y - this.y) - this.h, 0);
+    return dx * dx + dy * dy;
+  }
+
+  intersectsCircle(x, y, r) {
+    return this.distanceSquaredTo(x, y) <= r * r;
+  }
+
   intersects(range) {
     return !(
       range.x - range.w > this.x + this.w ||
@@ -0,0 +1,224 @@
+// Regions constrain PoissonDiskSampling to part of its width × height domain.
+// Each exposes `contains(point)` and, where it can be computed cheaply,
+// `bounds` (a corner-based {x, y, width, height}) and `area`.
+
+const toPoint = (p) => (Array.isArray(p) ? { x: p[0], y: p[1] } : p);
+
+export class CircleRegion {
+  constructor(x, y, radius) {
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+  }
+
+  get bounds() {
+    return {
+      x: this.x - this.radius,
+      y: this.y - this.radius,
+      width: this.radius * 2,
+      height: this.radius * 2,
+    };
+  }
+
+  get area() {
+    return Math.PI * this.radius * this.radius;
+  }
+
+  contains(point) {
+    const dx = point.x - this.x;
+    const dy = point.y - this.y;
+    return dx * dx + dy * dy <= this.radius * this.radius;
+  }
+}
+
+// One or more rings of {x, y} or [x, y] vertices. Rings are combined with the
+// even-odd rule, so any ring inside the outline is a hole.
+export class PolygonRegion {
+  constructor(rings) {
+    // Accept a single ring as well as a list of rings
+    const isRing =
+      rings[0]?.x !== undefined || typeof rings[0]?.[0] == "number";
+    if (isRing) rings = [rings];
+    this.rings = rings.map((ring) => ring.map(toPoint));
+
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    for (const ring of this.rings) {
+      for (const p of ring) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+      }
+    }
+    this.bounds = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  // Outline area minus the holes, assuming the holes don't overlap
+  get area() {
+    const areas = this.rings.map((ring) => {
+      let a = 0;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        a += (ring[j].x + ring[i].x) * (ring[j].y - ring[i].y);
+      }
+      return Math.abs(a / 2);
+    });
+    const outer = Math.max(...areas);
+    const total = areas.reduce((sum, a) => sum + a, 0);
+    return outer - (total - outer);
+  }
+
+  contains(point) {
+    const { x, y } = point;
+    const b = this.bounds;
+    if (x < b.x || x > b.x + b.width || y < b.y || y > b.y + b.height)
+      return false;
+
+    let inside = false;
+    for (const ring of this.rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i],
+          c = ring[j];
+        if (
+          a.y > y !== c.y > y &&
+          x < ((c.x - a.x) * (y - a.y)) / (c.y - a.y) + a.x
+        ) {
+          inside = !inside;
+        }
+      }
+    }
+    return inside;
+  }
+}
+
+// A signed distance function (x, y) => d, negative inside. `offset` grows
+// (positive) or shrinks (negative) the region.
+export class SDFRegion {
+  constructor(sdf, offset = 0) {
+    this.sdf = sdf;
+    this.offset = offset;
+  }
+
+  contains(point) {
+    return this.sdf(point.x, point.y) <= this.offset;
+  }
+}
+
+// A bitmap mask: an ImageData-like {width, height, data} holding either RGBA
+// (4 bytes per pixel) or a single channel (1 byte per pixel). The mask is
+// stretched over the sampler's width × height when those are given.
+export class MaskRegion {
+  constructor(
+    mask,
+    {
+      width = mask.width,
+      height = mask.height,
+      channel = "alpha",
+      threshold = 128,
+      invert = false,
+    } = {}
+  ) {
+    this.mask = mask;
+    this.width = width;
+    this.height = height;
+    this.channel = channel;
+    this.threshold = threshold;
+    this.invert = invert;
+    this.stride = mask.data.length / (mask.width * mask.height);
+    this.bounds = { x: 0, y: 0, width, height };
+  }
+
+  get area() {
+    if (this._area === undefined) {
+      let count = 0;
+      for (let i = 0; i < this.mask.width * this.mask.height; i++) {
+        if (this.valueAt(i) >= this.threshold !== this.invert) count++;
+      }
+      this._area =
+        (count * this.width * this.height) /
+        (this.mask.width * this.mask.height);
+    }
+    return this._area;
+  }
+
+  valueAt(index) {
+    const { data } = this.mask;
+    if (this.stride === 1) return data[index];
+
+    const i = index * this.stride;
+    switch (this.channel) {
+      case "luminance":
+        return 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      case "red":
+        return data[i];
+      case "green":
+        return data[i + 1];
+      case "blue":
+        return data[i + 2];
+      default:
+        return data[i + 3];
+    }
+  }
+
+  contains(point) {
+    const mx = Math.floor((point.x / this.width) * this.mask.width);
+    const my = Math.floor((point.y / this.height) * this.mask.height);
+    if (mx < 0 || mx >= this.mask.width || my < 0 || my >= this.mask.height)
+      return false;
+
+    const inside = this.valueAt(my * this.mask.width + mx) >= this.threshold;
+    return inside !== this.invert;
+  }
+}
+
+// Plain-JSON forms of the regions, { type, ...settings }, for scene files.
+// SDF regions and predicates hold functions, so they can't be saved.
+export function regionToJSON(region) {
+  if (region instanceof CircleRegion) {
+    const { x, y, radius } = region;
+    return { type: "circle", x, y, radius };
+  }
+  if (region instanceof PolygonRegion) {
+    return {
+      type: "polygon",
+      rings: region.rings.map((ring) => ring.map(({ x, y }) => ({ x, y }))),
+    };
+  }
+  if (region instanceof MaskRegion) {
+    const { mask, width, height, channel, threshold, invert } = region;
+    return {
+      type: "mask",
+      mask: {
+        width: mask.width,
+        height: mask.height,
+        data: Array.from(mask.data),
+      },
+      width,
+      height,
+      channel,
+      threshold,
+      invert,
+    };
+  }
+  throw new Error("Only circle, polygon and mask regions can be saved to JSON");
+}
+
+export function regionFromJSON({ type, ...settings }) {
+  switch (type) {
+    case "circle":
+      return new CircleRegion(settings.x, settings.y, settings.radius);
+    case "polygon":
+      return new PolygonRegion(settings.rings);
+    case "mask": {
+      const { mask, ...options } = settings;
+      return new MaskRegion(
+        { ...mask, data: Uint8ClampedArray.from(mask.data) },
+        options
+      );
+    }
+    default:
+      throw new Error(`Unknown region type "${type}"`);
+  }
+}
@@ -0,0 +1,111 @@
+import { Rectangle } from "./Rectangle.js";
+import { Quadtree } from "./Quadtree.js";
+
+// Greedy nearest-neighbour tour through the points, starting from `start`
+// (the pen's home position), to keep pen-up travel short.
+export function optimizeOrder(points, { start = { x: 0, y: 0 } } = {}) {
+  if (points.length < 2) return [...points];
+
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const p of points) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  // Padded so that rounding can't leave the outermost points outside
+  const index = new Quadtree(
+    Rectangle.fromCorners(minX - 1, minY - 1, maxX + 1, maxY + 1),
+    8
+  );
+  const entries = points.map((point) => ({ x: point.x, y: point.y, point }));
+  for (const entry of entries) index.insert(entry);
+
+  const ordered = [];
+  let current = start;
+  for (let i = 0; i < entries.length; i++) {
+    const [next] = index.nearest(current.x, current.y, 1);
+    index.remove(next);
+    ordered.push(next.point);
+    current = next;
+  }
+  return ordered;
+}
+
+// Total pen-up distance of visiting the points in order from `start`
+export function travelDistance(points, { start = { x: 0, y: 0 } } = {}) {
+  let distance = 0,
+    current = start;
+  for (const p of points) {
+    distance += Math.hypot(p.x - current.x, p.y - current.y);
+    current = p;
+  }
+  return distance;
+}
+
+const round = (v, precision) => +v.toFixed(precision);
+
+// Serialises a point set as SVG. `mode` "circle" draws a circle per point and
+// "dash" a short stroke (quicker to plot), both within a single path per
+// layer. Sizes are fixed (`size`) or scaled from each point's radius
+// (`sizeByRadius`, a factor). Points with a `class` (see multi-class
+// sampling) go into one Inkscape/AxiDraw layer per class.
+export function toSVG(
+  points,
+  {
+    width,
+    height,
+    documentWidth = width,
+    documentHeight = height,
+    mode = "circle",
+    size = 1,
+    sizeByRadius,
+    angle = 0,
+    optimize = true,
+    stroke = "black",
+    strokeWidth = 0.5,
+    precision = 2,
+  } = {}
+) {
+  const layers = new Map();
+  for (const p of points) {
+    const key = p.class ?? 0;
+    if (!layers.has(key)) layers.set(key, []);
+    layers.get(key).push(p);
+  }
+
+  const dx = Math.cos(angle) / 2,
+    dy = Math.sin(angle) / 2;
+  const r = (v) => round(v, precision);
+
+  const mark = (p) => {
+    const s = sizeByRadius ? p.radius * sizeByRadius : size;
+    if (mode === "dash") {
+      return `M${r(p.x - dx * s)} ${r(p.y - dy * s)}l${r(dx * s * 2)} ${r(
+        dy * s * 2
+      )}`;
+    }
+    // Two half arcs, starting and ending on the right of the point
+    return `M${r(p.x + s)} ${r(p.y)}a${r(s)} ${r(s)} 0 1 0 ${r(-s * 2)} 0a${r(
+      s
+    )} ${r(s)} 0 1 0 ${r(s * 2)} 0`;
+  };
+
+  const groups = [...layers.keys()]
+    .sort((a, b) => (a > b ? 1 : a < b ? -1 : 0))
+    .map((key, i) => {
+      const layer = optimize ? optimizeOrder(layers.get(key)) : layers.get(key);
+      return `  <g inkscape:groupmode="layer" inkscape:label="${
+        i + 1
+      } ${key}">\n    <path d="${layer.map(mark).join("")}"/>\n  </g>`;
+    });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${documentWidth}" height="${documentHeight}" viewBox="0 0 ${width} ${height}" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round">
+${groups.join("\n")}
+</svg>
+`;
+}
@@ -0,0 +1,196 @@
+import { Rectangle } from "./Rectangle.js";
+import { Quadtree } from "./Quadtree.js";
+
+// Voronoi cells of a point set clipped to [0, width] × [0, height], with the
+// Delaunay triangulation read back off the cell adjacency.
+//
+// Each cell starts as a box padded well beyond the domain and is cut by the
+// perpendicular bisector to its nearest neighbours, then to any point closer
+// to one of its vertices than the cell's own point, until there are none.
+// Every polygon edge remembers which neighbour's bisector made it (-1 for
+// the border), which gives the Delaunay edges, and each cell vertex between
+// two neighbour edges is a Delaunay triangle. The padding keeps neighbours
+// whose shared edge falls outside the domain; the cells are then clipped to
+// the domain itself.
+export class Voronoi {
+  constructor(points, width, height) {
+    this.points = points;
+    this.width = width;
+    this.height = height;
+
+    this.index = new Quadtree(Rectangle.fromCorners(0, 0, width, height), 8);
+    points.forEach((p, i) => this.index.insert({ x: p.x, y: p.y, i }));
+
+    // The neighbour across each edge of the unclipped cells
+    this.rings = [];
+    this.cells = points.map((p, i) => this.cell(p, i));
+  }
+
+  cell(point, i) {
+    // Vertices, and the label of the edge from each vertex to the next
+    const size = Math.max(this.width, this.height);
+    // Far enough out to keep the thin triangles between nearly collinear
+    // points on the hull
+    const pad = size * 1e6;
+    let polygon = [
+      { x: -pad, y: -pad, edge: -1 },
+      { x: this.width + pad, y: -pad, edge: -1 },
+      { x: this.width + pad, y: this.height + pad, edge: -1 },
+      { x: -pad, y: this.height + pad, edge: -1 },
+    ];
+
+    const cut = new Set([i]);
+    const cutBy = (q) => {
+      cut.add(q.i);
+      if (q.x !== point.x || q.y !== point.y)
+        polygon = clipToBisector(polygon, point, q);
+    };
+    for (const q of this.index.nearest(point.x, point.y, 13)) cutBy(q);
+
+    // The cell is final once the circle through `point` around each of its
+    // vertices is empty, as no other point is then close enough to cut it.
+    // A point inside the circle cuts that vertex off; the one nearest `point`
+    // is taken first, as it most likely bounds the final cell. Only cells
+    // still reaching the padding have wide circles, and those only take in
+    // points along the edge of the set.
+    const checked = new Set();
+    for (let v; (v = polygon.find((v) => !checked.has(v))); ) {
+      const r = Math.hypot(v.x - point.x, v.y - point.y) - size * 1e-9;
+      let closest = null,
+        best = Infinity;
+      for (const q of this.index.queryCircle(v.x, v.y, r)) {
+        const d2 = (q.x - point.x) ** 2 + (q.y - point.y) ** 2;
+        if (d2 > 0 && d2 < best && !cut.has(q.i)) {
+          closest = q;
+          best = d2;
+        }
+      }
+      if (closest) cutBy(closest);
+      else checked.add(v);
+    }
+
+    this.rings[i] = polygon.map((v) => v.edge);
+    const neighbors = [...new Set(this.rings[i])].filter((e) => e >= 0);
+
+    const { width, height } = this;
+    for (const side of [
+      (v) => -v.x,
+      (v) => v.y - height,
+      (v) => v.x - width,
+      (v) => -v.y,
+    ])
+      polygon = clip(polygon, side, -1);
+
+    return {
+      polygon: polygon.map(({ x, y }) => ({ x, y })),
+      neighbors,
+      // The neighbour (or -1 for the border) across each polygon edge
+      sides: polygon.map((v) => v.edge),
+    };
+  }
+
+  // Unique Delaunay edges as [i, j] pairs with i < j
+  get edges() {
+    const edges = [];
+    this.cells.forEach((cell, i) => {
+      for (const j of cell.neighbors) if (i < j) edges.push([i, j]);
+    });
+    return edges;
+  }
+
+  // Delaunay triangles as [i, j, k] index triples
+  get triangles() {
+    const seen = new Set();
+    const triangles = [];
+    this.rings.forEach((sides, i) => {
+      for (let e = 0; e < sides.length; e++) {
+        const j = sides[e],
+          k = sides[(e + 1) % sides.length];
+        if (j < 0 || k < 0 || j === k) continue;
+        const triangle = [i, j, k].sort((a, b) => a - b);
+        const key = triangle.join();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        triangles.push(triangle);
+      }
+    });
+    return triangles;
+  }
+
+  // Centroid of cell i, weighted by `density(x, y)` when given
+  centroid(i, density) {
+    const { polygon } = this.cells[i];
+    if (polygon.length < 3) return { ...this.points[i] };
+
+    let cx = 0,
+      cy = 0,
+      total = 0;
+    const a = polygon[0];
+    for (let v = 1; v < polygon.length - 1; v++) {
+      const b = polygon[v],
+        c = polygon[v + 1];
+      const area =
+        Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+      const mx = (a.x + b.x + c.x) / 3,
+        my = (a.y + b.y + c.y) / 3;
+      const w = area * (density ? density(mx, my) : 1);
+      cx += mx * w;
+      cy += my * w;
+      total += w;
+    }
+    if (total === 0) return { ...this.points[i] };
+    return { x: cx / total, y: cy / total };
+  }
+}
+
+// Keeps the part of a convex polygon closer to p than to q
+const clipToBisector = (polygon, p, q) => {
+  const nx = q.x - p.x,
+    ny = q.y - p.y;
+  const mx = (p.x + q.x) / 2,
+    my = (p.y + q.y) / 2;
+  return clip(polygon, (v) => (v.x - mx) * nx + (v.y - my) * ny, q.i);
+};
+
+// Keeps the part of a convex polygon where side(v) <= 0, labelling the new
+// edge along the cut with `edge`
+const clip = (polygon, side, edge) => {
+  const clipped = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i],
+      b = polygon[(i + 1) % polygon.length];
+    const sa = side(a),
+      sb = side(b);
+    if (sa <= 0) clipped.push(a);
+    if (sa <= 0 !== sb <= 0) {
+      const t = sa / (sa - sb);
+      // Leaving the half-plane starts a bisector edge; entering it resumes
+      // the edge we were on
+      clipped.push({
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        edge: sa <= 0 ? edge : a.edge,
+      });
+    }
+  }
+  return clipped;
+};
+
+// Weighted Lloyd relaxation: moves each point to the centroid of its Voronoi
+// cell, weighted by the density implied by `radius(x, y)` (1 / r², so small
+// radii pull points together), and re-reads its radius there. To relax
+// against a PoissonDiskSampling's own field, pass
+// `(x, y) => psd.getRadiusFromField(x, y)`.
+export function relax(points, { width, height, iterations = 1, radius } = {}) {
+  const density = radius ? (x, y) => 1 / radius(x, y) ** 2 : null;
+
+  for (let n = 0; n < iterations; n++) {
+    const voronoi = new Voronoi(points, width, height);
+    points = points.map((p, i) => {
+      const { x, y } = voronoi.centroid(i, density);
+      return radius ? { ...p, x, y, radius: radius(x, y) } : { ...p, x, y };
+    });
+  }
+
+  return points;
+}
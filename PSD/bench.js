@@ -0,0 +1,41 @@
+import { PoissonDiskSampling } from "./PSD.js";
+
+// Times generateSync() with each spatial index on a uniform and a variable
+// radius fill. Open bench.html, or run `node PSD/bench.js`.
+
+const configs = [
+  { name: "uniform", width: 2000, height: 2000, minRadius: 3, maxRadius: 3 },
+  { name: "variable", width: 2000, height: 2000, minRadius: 3, maxRadius: 30 },
+];
+
+const results = [];
+for (const config of configs) {
+  for (const spatialIndex of Object.values(
+    PoissonDiskSampling.SPATIAL_INDEXES
+  )) {
+    const pds = new PoissonDiskSampling({
+      ...config,
+      seed: 1,
+      spatialIndex,
+      pointsPerFrame: Infinity,
+    });
+    const start = performance.now();
+    const points = pds.generateSync();
+    const ms = performance.now() - start;
+    results.push({
+      field: config.name,
+      spatialIndex,
+      points: points.length,
+      ms: Math.round(ms),
+      pointsPerSecond: Math.round(points.length / (ms / 1000)),
+    });
+  }
+}
+
+if (typeof document != "undefined") {
+  const pre = document.createElement("pre");
+  pre.textContent = JSON.stringify(results, null, 2);
+  document.body.appendChild(pre);
+} else {
+  console.table(results);
+}
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PoissonDiskSampling } from "../PSD.js";
+
+const options = { width: 200, height: 150, minRadius: 4, maxRadius: 12 };
+
+test("the same seed gives the same points", () => {
+  const a = new PoissonDiskSampling({ ...options, seed: 7 }).generateSync();
+  const b = new PoissonDiskSampling({ ...options, seed: 7 }).generateSync();
+  const c = new PoissonDiskSampling({ ...options, seed: 8 }).generateSync();
+  assert.ok(a.length > 0);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, c);
+});
+
+test("steps() yields the points generateSync() places", () => {
+  const psd = new PoissonDiskSampling({ ...options, seed: 7 });
+  const batches = [];
+  const steps = psd.steps();
+  let result;
+  while (!(result = steps.next()).done) batches.push(...result.value);
+  assert.deepEqual(result.value, psd.points);
+  assert.deepEqual(
+    psd.points,
+    new PoissonDiskSampling({ ...options, seed: 7 }).generateSync()
+  );
+  // Everything after the initial points came out of a batch
+  assert.ok(batches.length > 0);
+  assert.deepEqual(batches, psd.points.slice(-batches.length));
+});
+
+for (const radiusPolicy of Object.values(PoissonDiskSampling.RADIUS_POLICIES)) {
+  for (const spatialIndex of Object.values(
+    PoissonDiskSampling.SPATIAL_INDEXES
+  )) {
+    test(`no violations with ${radiusPolicy} radii in a ${spatialIndex}`, () => {
+      const psd = new PoissonDiskSampling({
+        ...options,
+        radiusPolicy,
+        spatialIndex,
+        seed: 3,
+      });
+      const points = psd.generateSync();
+      assert.ok(points.length > 50);
+      assert.deepEqual(psd.findViolations(points), []);
+    });
+  }
+}
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Quadtree } from "../Quadtree.js";
+import { Rectangle } from "../Rectangle.js";
+
+const domain = () => Rectangle.fromCorners(0, 0, 100, 100);
+const all = (tree) => tree.query(domain());
+
+test("keeps every copy of a duplicated point", () => {
+  const tree = new Quadtree(domain(), 4);
+  const points = Array.from({ length: 50 }, () => ({ x: 30, y: 70 }));
+  for (const p of points) assert.ok(tree.insert(p));
+
+  assert.equal(tree.size, 50);
+  assert.equal(all(tree).length, 50);
+  assert.equal(tree.queryCircle(30, 70, 0).length, 50);
+  assert.equal(tree.nearest(30, 70, 50).length, 50);
+});
+
+test("removes duplicates by identity, one at a time", () => {
+  const tree = new Quadtree(domain(), 2);
+  const points = Array.from({ length: 10 }, () => ({ x: 10, y: 10 }));
+  for (const p of points) tree.insert(p);
+
+  assert.ok(tree.remove(points[3]));
+  assert.ok(!tree.remove(points[3]));
+  assert.equal(tree.size, 9);
+  assert.ok(!all(tree).includes(points[3]));
+});
+
+test("accepts points on the boundary edges and corners", () => {
+  const tree = new Quadtree(domain(), 1);
+  const edges = [
+    { x: 0, y: 0 },
+    { x: 100, y: 0 },
+    { x: 0, y: 100 },
+    { x: 100, y: 100 },
+    { x: 50, y: 0 },
+    { x: 0, y: 50 },
+    { x: 100, y: 50 },
+    { x: 50, y: 100 },
+    // On the edges shared by the quadrants
+    { x: 50, y: 50 },
+    { x: 50, y: 25 },
+    { x: 25, y: 50 },
+  ];
+  for (const p of edges) assert.ok(tree.insert(p), `${p.x}, ${p.y}`);
+
+  assert.equal(tree.size, edges.length);
+  for (const p of edges) assert.ok(all(tree).includes(p), `${p.x}, ${p.y}`);
+});
+
+test("rejects points outside the boundary", () => {
+  const tree = new Quadtree(domain(), 4);
+  assert.ok(!tree.insert({ x: -0.001, y: 50 }));
+  assert.ok(!tree.insert({ x: 50, y: 100.001 }));
+  assert.equal(tree.size, 0);
+});
+
+test("grows leaves past capacity at maxDepth", () => {
+  const tree = new Quadtree(domain(), 1, 0, 2);
+  const points = Array.from({ length: 20 }, (_, i) => ({
+    x: 1 + i * 0.01,
+    y: 1,
+  }));
+  for (const p of points) assert.ok(tree.insert(p));
+
+  assert.equal(tree.size, 20);
+  const leaf = tree.northwest.northwest;
+  assert.equal(leaf.depth, 2);
+  assert.ok(!leaf.divided);
+  // The root and its north-west child each hold one before splitting
+  assert.equal(leaf.points.length, 18);
+});
+
+test("a point on an edge is found by queries on either side", () => {
+  const tree = new Quadtree(domain(), 1);
+  const p = { x: 50, y: 50 };
+  for (const q of [{ x: 10, y: 10 }, { x: 90, y: 90 }, p]) tree.insert(q);
+
+  assert.deepEqual(tree.query(Rectangle.fromCorners(0, 0, 50, 50)), [
+    { x: 10, y: 10 },
+    p,
+  ]);
+  assert.ok(tree.query(Rectangle.fromCorners(50, 50, 100, 100)).includes(p));
+  assert.deepEqual(tree.queryCircle(60, 50, 10), [p]);
+});
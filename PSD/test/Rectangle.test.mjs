@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Rectangle } from "../Rectangle.js";
+
+test("fromCenter keeps the centre and half-extents", () => {
+  const r = Rectangle.fromCenter(10, 20, 5, 8);
+  assert.deepEqual({ ...r }, { x: 10, y: 20, w: 5, h: 8 });
+});
+
+test("fromCorners accepts the corners in either order", () => {
+  const expected = { x: 15, y: 30, w: 5, h: 10 };
+  assert.deepEqual({ ...Rectangle.fromCorners(10, 20, 20, 40) }, expected);
+  assert.deepEqual({ ...Rectangle.fromCorners(20, 40, 10, 20) }, expected);
+  assert.deepEqual({ ...Rectangle.fromCorners(20, 20, 10, 40) }, expected);
+});
+
+test("contains includes the edges and corners", () => {
+  const r = Rectangle.fromCorners(0, 0, 100, 50);
+  for (const point of [
+    { x: 0, y: 0 },
+    { x: 100, y: 50 },
+    { x: 0, y: 25 },
+    { x: 100, y: 0 },
+    { x: 50, y: 50 },
+  ])
+    assert.ok(r.contains(point), `${point.x}, ${point.y}`);
+  for (const point of [
+    { x: -0.001, y: 0 },
+    { x: 100.001, y: 50 },
+    { x: 50, y: 50.001 },
+  ])
+    assert.ok(!r.contains(point), `${point.x}, ${point.y}`);
+});
+
+test("intersects counts rectangles touching along an edge", () => {
+  const a = Rectangle.fromCorners(0, 0, 10, 10);
+  assert.ok(a.intersects(Rectangle.fromCorners(10, 0, 20, 10)));
+  assert.ok(a.intersects(Rectangle.fromCorners(10, 10, 20, 20)));
+  assert.ok(!a.intersects(Rectangle.fromCorners(10.5, 0, 20, 10)));
+});
+
+test("intersectsCircle measures to the closest edge", () => {
+  const r = Rectangle.fromCorners(0, 0, 10, 10);
+  assert.equal(r.distanceSquaredTo(5, 5), 0);
+  assert.equal(r.distanceSquaredTo(13, 14), 25);
+  assert.ok(r.intersectsCircle(13, 14, 5));
+  assert.ok(!r.intersectsCircle(13, 14, 4.9));
+});
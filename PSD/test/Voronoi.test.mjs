@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Voronoi } from "../Voronoi.js";
+import { prng } from "../../Global/prng.js";
+
+const width = 800,
+  height = 600;
+const random = prng(1);
+const points = Array.from({ length: 5000 }, () => ({
+  x: random() * width,
+  y: random() * height,
+}));
+
+// Number of points on the convex hull (Andrew's monotone chain)
+const hullSize = (points) => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) =>
+    (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = (points) => {
+    const chain = [];
+    for (const p of points) {
+      while (
+        chain.length > 1 &&
+        cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0
+      )
+        chain.pop();
+      chain.push(p);
+    }
+    return chain.length - 1;
+  };
+  return half(sorted) + half(sorted.reverse());
+};
+
+const area = (polygon) => {
+  let sum = 0;
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    sum += a.x * b.y - b.x * a.y;
+  });
+  return Math.abs(sum) / 2;
+};
+
+test("builds a few thousand cells within a time budget", () => {
+  const start = performance.now();
+  new Voronoi(points, width, height);
+  assert.ok(performance.now() - start < 1000);
+});
+
+test("triangulates the whole convex hull", () => {
+  const voronoi = new Voronoi(points, width, height);
+  const h = hullSize(points);
+  assert.equal(voronoi.triangles.length, 2 * points.length - 2 - h);
+  assert.equal(voronoi.edges.length, 3 * points.length - 3 - h);
+});
+
+test("cells tile the domain", () => {
+  const voronoi = new Voronoi(points, width, height);
+  const total = voronoi.cells.reduce(
+    (sum, { polygon }) => sum + area(polygon),
+    0
+  );
+  assert.ok(Math.abs(total - width * height) < 1e-6 * width * height);
+  for (const { polygon } of voronoi.cells)
+    for (const { x, y } of polygon) {
+      assert.ok(x >= -1e-9 && x <= width + 1e-9);
+      assert.ok(y >= -1e-9 && y <= height + 1e-9);
+    }
+});